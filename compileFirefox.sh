@@ -1,5 +1,5 @@
 #!/bin/bash
 
 rm firefox.xpi
-zip -r firefox.zip icons manifest.json js css
+zip -r firefox.zip icons manifest.json options.html js css
 mv firefox.zip firefox.xpi
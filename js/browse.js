@@ -0,0 +1,19 @@
+/**
+ * The Browse pages, which list every series (`/videos/popular`,
+ * `/videos/new`, etc.) or the series in one genre
+ * (`/videos/{genre}`).
+ *
+ * These are infinite grid pages (see grid.js), with sort and filter
+ * dropdowns above the grid. The dropdowns open menus, which are
+ * navigated as usual (see menus.js). Picking an option rebuilds the
+ * grid, which is then simply read again.
+ */
+
+
+registerPageModule(createGridPageModule({
+	name: "browse",
+	matches: url => getRoutePath(url).startsWith("/videos"),
+	cards: "browse.card",
+	controls: "browse.control",
+	infinite: true
+}));
@@ -0,0 +1,156 @@
+/**
+ * A details panel for the highlighted card on the homepage.
+ *
+ * The site only shows a series' synopsis, rating, languages and
+ * episode count while the mouse hovers over its card. That overlay
+ * is still in the DOM when it isn't shown though, so this reads it
+ * (and the rest of the card) and shows the same details in a panel,
+ * like a TV app would.
+ *
+ * The panel is updated a moment after the highlight stops moving,
+ * so holding a direction doesn't rebuild it for every card passed.
+ *
+ * Depending on the `detailsPanel` setting, it can be hidden.
+ */
+
+
+// ID of the details panel element
+const DETAILS_PANEL_ID = "crunchynav-details";
+
+// How long the highlight has to stay on a card before the panel
+// is updated, in milliseconds
+const DETAILS_PANEL_DELAY = 250;
+
+// Shown in place of any detail which the card doesn't have.
+// Each detail is looked up as "cardDetail.{name}" in the selector
+// profile (see selectors.js), and the first element with some text
+// wins.
+const CARD_DETAIL_PLACEHOLDERS = {
+	title: "Untitled",
+	synopsis: "No description available.",
+	rating: "No rating",
+	languages: "Languages unknown",
+	episodes: "Episode count unknown"
+};
+
+// Timeout ID for the pending panel update
+var detailsPanelTimeout = false;
+
+/**
+ * Read one detail from a card.
+ *
+ * @param {Element} card The card
+ * @param {String} name The detail's name, eg. "title"
+ * @returns The detail's text, or false if the card doesn't have it
+ */
+function findCardDetail(card, name){
+	const elem = findElement("cardDetail." + name, card, elem => elem.textContent.trim() != '');
+	return elem ? elem.textContent.trim() : false;
+}
+
+/**
+ * Read every detail from a card, using placeholders for anything
+ * which is missing.
+ *
+ * The title falls back to the card image's alt text, since some
+ * cards only show the series' logo.
+ *
+ * @param {Element} card The card
+ * @returns Map of detail names (as per CARD_DETAIL_PLACEHOLDERS) to text
+ */
+function getCardDetails(card){
+
+	const details = {};
+	for (const name in CARD_DETAIL_PLACEHOLDERS){
+		details[name] = findCardDetail(card, name) || CARD_DETAIL_PLACEHOLDERS[name];
+	}
+
+	if (details.title == CARD_DETAIL_PLACEHOLDERS.title){
+		const image = findElement("cardDetail.image", card);
+		if (image && image.alt.trim() != ''){
+			details.title = image.alt.trim();
+		}
+	}
+
+	return details;
+
+}
+
+/**
+ * Fill the details panel in with the given card's details, creating
+ * the panel if needed.
+ *
+ * @param {Element} card The card
+ */
+function renderCardDetails(card){
+
+	let panel = document.getElementById(DETAILS_PANEL_ID);
+	if (panel == null){
+		panel = document.createElement("div");
+		panel.id = DETAILS_PANEL_ID;
+		document.body.appendChild(panel);
+	}
+
+	const details = getCardDetails(card);
+
+	// Built with textContent rather than innerHTML, since the text
+	// comes from the page
+	panel.replaceChildren();
+	for (const name of ["title", "rating", "languages", "episodes", "synopsis"]){
+		const line = document.createElement("div");
+		line.className = "crunchynav-details-" + name;
+		line.textContent = details[name];
+		panel.appendChild(line);
+	}
+
+	panel.classList.add("visible");
+
+}
+
+/**
+ * Update the details panel for the newly highlighted card, once the
+ * highlight has stopped moving.
+ *
+ * Cards without details of their own (the hero banner, which shows
+ * its own, and header items) hide the panel instead.
+ *
+ * @param {Element|false} card The highlighted card, if any
+ */
+function updateCardDetails(card){
+
+	clearTimeout(detailsPanelTimeout);
+
+	if (card == false || settings.detailsPanel == "hide" || isHeroRow(card) || isHeaderItem(card)){
+		hideCardDetails();
+		return;
+	}
+
+	detailsPanelTimeout = setTimeout(() => {
+		if (document.body.contains(card)){
+			renderCardDetails(card);
+		}
+	}, DETAILS_PANEL_DELAY);
+
+}
+
+/**
+ * Hide the details panel.
+ */
+function hideCardDetails(){
+	clearTimeout(detailsPanelTimeout);
+	const panel = document.getElementById(DETAILS_PANEL_ID);
+	if (panel){
+		panel.classList.remove("visible");
+	}
+}
+
+/**
+ * Remove the details panel altogether, when leaving the homepage.
+ */
+function removeCardDetails(){
+	clearTimeout(detailsPanelTimeout);
+	const panel = document.getElementById(DETAILS_PANEL_ID);
+	if (panel){
+		panel.remove();
+	}
+}
@@ -0,0 +1,133 @@
+/**
+ * The season picker and episode list on the series page.
+ *
+ * The series page lists the episodes of one season at a time,
+ * with a dropdown (and previous/next buttons) above the list to
+ * switch between seasons.
+ *
+ * Changing season replaces the episode cards, so the episode list
+ * is observed and re-scanned whenever that happens.
+ */
+
+
+/**
+ * Retrieve the div holding the season picker and episode list.
+ *
+ * @returns The div, or false if it couldn't be found
+ */
+function getSeasonNavigation(){
+	return findElement("episodes.seasonNavigation");
+}
+
+/**
+ * Retrieve the season picker's controls (dropdown and buttons).
+ *
+ * Controls which are currently disabled (eg. "previous season" while
+ * on the first season) are left out.
+ *
+ * @returns Array of controls (possibly empty)
+ */
+function getSeasonControls(){
+
+	const seasonNavigation = getSeasonNavigation();
+	if (seasonNavigation == false){
+		return [];
+	}
+
+	return collectElements("episodes.seasonControl", seasonNavigation, control => !control.disabled);
+
+}
+
+/**
+ * Retrieve the episode list.
+ *
+ * @returns The episode list, or false if it couldn't be found
+ */
+function getEpisodeList(){
+
+	const seasonNavigation = getSeasonNavigation();
+	if (seasonNavigation == false){
+		return false;
+	}
+
+	return findElement("episodes.list", seasonNavigation);
+
+}
+
+/**
+ * Retrieve the episode cards for the current season.
+ *
+ * @returns Array of episode cards (possibly empty)
+ */
+function getEpisodeCards(){
+
+	const episodeList = getEpisodeList();
+	if (episodeList == false){
+		return [];
+	}
+
+	return findElements("episodes.card", episodeList);
+
+}
+
+/**
+ * Checks whether the given element is one of the episode cards.
+ *
+ * @param {Element} elem The element to check
+ * @returns True if `elem` is an episode card
+ */
+function isEpisodeCard(elem){
+	return elem != false && getEpisodeCards().includes(elem);
+}
+
+/**
+ * Play the given episode by navigating to its watch page.
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ * @param {Element} card The episode card
+ */
+function playEpisode(e, card){
+
+	const anchor = findElement("episodes.link", card);
+	if (anchor == false){
+		console.error("CrunchyNav: Episode link not found");
+		return;
+	}
+
+	e.preventDefault();
+	anchor.click();
+
+}
+
+/**
+ * Observe the season picker for changes, such as the episode list
+ * being replaced when the user changes season.
+ *
+ * @param {Function} callback Called whenever the episodes change
+ */
+function initiateEpisodeObserver(callback){
+
+	const seasonNavigation = getSeasonNavigation();
+	if (seasonNavigation == false){
+		console.error("CrunchyNav: Season navigation not found");
+		return;
+	}
+
+	// The episode list is nested a few levels deep, and is replaced
+	// as a whole when changing season, so watch the whole subtree.
+	const observer = trackObserver(new MutationObserver(mutations => {
+		const changed = mutations.some(mutation =>
+			mutation.addedNodes.length > 0 || mutation.removedNodes.length > 0
+		);
+		if (changed){
+			callback();
+		}
+	}));
+
+	observer.observe(seasonNavigation, {
+		childList: true,
+		subtree: true,
+		characterData: false
+	});
+
+}
@@ -0,0 +1,177 @@
+/**
+ * The homepage's navigation state: an in-memory model of the feed,
+ * and which card is highlighted.
+ *
+ * Reading the rows and cards from the page means several DOM queries
+ * (see getErcFeed() and getDynamicFeed()), and a single key press
+ * needs them several times over. On a long feed, on a low-powered
+ * TV browser, that adds up. So the rows and cards are read once, and
+ * kept until the feed changes. A MutationObserver on the feed throws
+ * the model away whenever rows or cards are added or removed, as does
+ * anything which hides, shows or reorders rows (see
+ * cleanDynamicFeed()), and it's read again the next time it's needed.
+ *
+ * Highlighting a card goes through select(), which tells every
+ * focus-change listener about it. Drawing the highlight, scrolling,
+ * remembering row positions, the details panel and so on are all
+ * listeners (see initHomePage()), so features can hook into focus
+ * changes without highlightCard() having to know about them.
+ */
+
+
+const feedController = {
+
+	// The rows and cards, or false if they need reading again.
+	// - hero: The hero banner, or false if it's hidden
+	// - rows: The visible rows, in the order they're shown, starting
+	//   with the hero banner (if shown)
+	// - cards: Map of each row to its visible cards
+	// - rowOfCard: Map of each card to its row
+	model: false,
+
+	// The highlighted card (or header item), or false if nothing
+	// has been highlighted yet
+	selectedCard: false,
+
+	// Functions to call whenever the highlight moves
+	focusListeners: [],
+
+	/**
+	 * Read the rows and cards from the page.
+	 *
+	 * @returns The model (see above)
+	 */
+	readModel(){
+
+		const model = {
+			hero: false,
+			rows: [],
+			cards: new Map(),
+			rowOfCard: new Map()
+		};
+
+		if (getErcFeed() == false){
+			return model;
+		}
+
+		model.hero = getHeroRow();
+		model.rows = getDynamicFeed();
+		if (model.hero){
+			model.rows.unshift(model.hero);
+		}
+
+		for (const row of model.rows){
+			const cards = (row == model.hero) ? [row] : Array.from(getRowCards(row));
+			model.cards.set(row, cards);
+			cards.forEach(card => model.rowOfCard.set(card, row));
+		}
+
+		return model;
+
+	},
+
+	/**
+	 * Retrieve the model, reading it from the page if it has changed
+	 * since the last time.
+	 *
+	 * @returns The model (see above)
+	 */
+	getModel(){
+		if (feedController.model == false){
+			feedController.model = feedController.readModel();
+		}
+		return feedController.model;
+	},
+
+	/**
+	 * Throw the model away, so that it's read from the page again the
+	 * next time it's needed.
+	 */
+	invalidate(){
+		feedController.model = false;
+	},
+
+	/**
+	 * Retrieve the row a card is in.
+	 *
+	 * @param {Element} card The card
+	 * @returns The row, or false if the card isn't in any visible row
+	 */
+	getRowOf(card){
+		return feedController.getModel().rowOfCard.get(card) || false;
+	},
+
+	/**
+	 * Move the highlight to the given card, and tell the focus-change
+	 * listeners about it.
+	 *
+	 * @param {Element|false} card The card to highlight, or false to
+	 * drop the highlight
+	 */
+	select(card){
+
+		const previous = feedController.selectedCard;
+		feedController.selectedCard = card;
+
+		if (card != previous){
+			feedController.focusListeners.forEach(listener => listener(card, previous));
+		}
+
+	},
+
+	/**
+	 * Registers a function to call whenever the highlight moves.
+	 *
+	 * @param {Function} listener Called with the newly highlighted
+	 * card (or false) and the previously highlighted one (or false)
+	 * @returns A function which unregisters the listener again
+	 */
+	onFocusChange(listener){
+		feedController.focusListeners.push(listener);
+		return () => {
+			feedController.focusListeners = feedController.focusListeners.filter(other => other != listener);
+		};
+	},
+
+	/**
+	 * Start throwing the model away whenever the feed changes.
+	 *
+	 * The whole feed is watched, since cards can be re-rendered
+	 * within a row without the row itself changing. This only marks
+	 * the model as stale, so it stays cheap however often the feed
+	 * changes.
+	 *
+	 * Attributes aren't watched, since drawing the highlight changes
+	 * them on every key press. Whatever hides or reorders rows
+	 * invalidates the model itself instead.
+	 */
+	observe(){
+
+		const children = getErcFeed();
+		if (children == false){
+			return;
+		}
+
+		const observer = trackObserver(new MutationObserver(feedController.invalidate));
+		observer.observe(children[0].parentElement, {
+			childList: true,
+			subtree: true,
+			characterData: false
+		});
+
+		feedController.invalidate();
+
+	},
+
+	/**
+	 * Forget the model and the highlight, when leaving the homepage.
+	 *
+	 * The focus-change listeners aren't told, since everything they
+	 * look after is being torn down as well.
+	 */
+	reset(){
+		feedController.model = false;
+		feedController.selectedCard = false;
+	}
+
+};
@@ -0,0 +1,169 @@
+/**
+ * Loading more of the homepage feed from the keyboard or gamepad.
+ *
+ * The feed only loads its next few rows once the "loading" message
+ * at the bottom of the page (the third child of erc-feed) scrolls
+ * into view. Pressing down on the last loaded row scrolls that
+ * message into view, shows a loading indicator, then moves down
+ * again once there's a new row to move to. Rows are often added
+ * empty and only fill in later, so that's once the feed observer
+ * reports more navigable rows than before, rather than as soon as
+ * a row is added.
+ *
+ * If no rows turn up before the timeout, the feed is assumed to
+ * have ended, and further presses just say so instead of waiting
+ * again. Rows turning up later (eg. after scrolling with the mouse)
+ * clear that state.
+ */
+
+
+// ID of the loading indicator element
+const FEED_STATUS_ID = "crunchynav-feed-status";
+
+// How long to wait for more rows before giving up, in milliseconds
+const FEED_LOAD_TIMEOUT = 8000;
+
+// How long the "end of feed" message stays on screen, in milliseconds
+const FEED_END_MESSAGE_DURATION = 2000;
+
+// One of:
+// - "idle": nothing is being loaded
+// - "loading": waiting for more rows
+// - "ended": the last attempt timed out, so there's nothing more
+var feedLoadState = "idle";
+
+// Called once more rows have loaded, or false if nothing is waiting
+var feedLoadCallback = false;
+
+// How many rows could be navigated to when more were asked for, to
+// tell when new ones have turned up
+var feedLoadRowCount = 0;
+
+// Timeout ID for giving up on loading more rows
+var feedLoadTimeout = false;
+
+// Timeout ID for hiding the "end of feed" message
+var feedStatusTimeout = false;
+
+/**
+ * Show the given message in the loading indicator.
+ *
+ * @param {String} message The message to show
+ * @param {Number} duration How long to show it for, in milliseconds.
+ * If omitted, it stays until hideFeedStatus() is called.
+ */
+function showFeedStatus(message, duration){
+
+	let status = document.getElementById(FEED_STATUS_ID);
+	if (status == null){
+		status = document.createElement("div");
+		status.id = FEED_STATUS_ID;
+		document.body.appendChild(status);
+	}
+
+	status.textContent = message;
+	status.classList.add("visible");
+
+	clearTimeout(feedStatusTimeout);
+	if (duration){
+		feedStatusTimeout = setTimeout(hideFeedStatus, duration);
+	}
+
+}
+
+/**
+ * Hide the loading indicator.
+ */
+function hideFeedStatus(){
+	clearTimeout(feedStatusTimeout);
+	const status = document.getElementById(FEED_STATUS_ID);
+	if (status){
+		status.classList.remove("visible");
+	}
+}
+
+/**
+ * Count the rows which can currently be navigated to.
+ *
+ * @returns The number of rows
+ */
+function countFeedRows(){
+	return feedController.getModel().rows.length;
+}
+
+/**
+ * Ask the feed to load more rows.
+ *
+ * @param {Function} callback Called once the new rows have loaded.
+ * Not called if the feed has ended, or if loading times out.
+ */
+function requestMoreFeedRows(callback){
+
+	if (feedLoadState == "ended"){
+		showFeedStatus("End of feed", FEED_END_MESSAGE_DURATION);
+		return;
+	}
+
+	// Only the latest request needs to move the highlight
+	feedLoadCallback = callback;
+	if (feedLoadState == "loading"){
+		return;
+	}
+
+	const children = getErcFeed();
+	if (children == false){
+		return;
+	}
+
+	feedLoadState = "loading";
+	feedLoadRowCount = countFeedRows();
+	showFeedStatus("Loading more…");
+
+	// Bringing the loading message into view is what makes the
+	// site load the next rows
+	children[2].scrollIntoView({ block: "end" });
+
+	feedLoadTimeout = setTimeout(() => {
+		feedLoadState = "ended";
+		feedLoadCallback = false;
+		showFeedStatus("End of feed", FEED_END_MESSAGE_DURATION);
+	}, FEED_LOAD_TIMEOUT);
+
+}
+
+/**
+ * Called by the feed observer whenever the feed changes, once the
+ * new content has been cleaned (see cleanDynamicFeed()).
+ *
+ * Finishes the pending request for more rows, if there is one and
+ * there are more rows to navigate to than before.
+ */
+function onFeedChanged(){
+
+	if (feedLoadState == "idle" || countFeedRows() <= feedLoadRowCount){
+		return;
+	}
+
+	if (feedLoadState == "ended"){
+		feedLoadState = "idle";
+		return;
+	}
+
+	const callback = feedLoadCallback;
+	cancelFeedLoad();
+
+	if (callback){
+		callback();
+	}
+
+}
+
+/**
+ * Forget any pending request for more rows, and hide the indicator.
+ */
+function cancelFeedLoad(){
+	clearTimeout(feedLoadTimeout);
+	feedLoadState = "idle";
+	feedLoadCallback = false;
+	hideFeedStatus();
+}
@@ -0,0 +1,157 @@
+/**
+ * User-defined rules for the homepage feed.
+ *
+ * On top of the rows hidden by cleanDynamicFeed() because they can't
+ * be navigated, the user can choose (on the options page) to:
+ * - hide rows whose title matches a pattern (`hiddenRows`)
+ * - pin rows whose title matches a pattern to the top (`pinnedRows`)
+ * - hide the cards of particular series (`blockedSeries`)
+ * - hide the cards of series they've finished (`hideFinishedSeries`)
+ *
+ * Patterns are matched case-insensitively against part of the text.
+ * A pattern written as /.../ is used as a regular expression instead.
+ * Series are matched by their title or their link, so pasting a
+ * series' URL works too.
+ *
+ * Rows and cards are hidden rather than removed, and pinned rows are
+ * moved up with the CSS `order` property rather than by moving them
+ * in the DOM, since the site doesn't cope with its elements being
+ * removed or moved (see cleanDynamicFeed()).
+ * getDynamicFeed() puts the rows back in the order they're shown.
+ *
+ * The rules are applied again whenever the feed changes, and
+ * whenever the settings change.
+ */
+
+
+// Marks a row or card as hidden by a rule, so that it can be shown
+// again if the rules change
+const FEED_RULE_HIDDEN_ATTRIBUTE = "crunchynavRuleHidden";
+
+/**
+ * Checks whether some text matches one of the user's patterns.
+ *
+ * @param {String} text The text to check
+ * @param {String} pattern Part of the text, or a /regular expression/
+ * @returns True if the text matches
+ */
+function matchesFeedPattern(text, pattern){
+
+	const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+	if (regex){
+		try {
+			return new RegExp(regex[1], regex[2] || "i").test(text);
+		} catch (error){
+			console.error("CrunchyNav: Invalid feed rule pattern " + pattern);
+			return false;
+		}
+	}
+
+	return text.toLowerCase().includes(pattern.toLowerCase());
+
+}
+
+/**
+ * Checks whether some text matches any of the given patterns.
+ *
+ * @param {String} text The text to check
+ * @param {String[]} patterns The patterns
+ * @returns True if the text matches at least one of them
+ */
+function matchesAnyFeedPattern(text, patterns){
+	return text != '' && patterns.some(pattern => matchesFeedPattern(text, pattern));
+}
+
+/**
+ * Checks whether a card shows that its series has been finished.
+ *
+ * @param {Element} card The card
+ * @returns True if the series has been watched to the end
+ */
+function isFinishedSeriesCard(card){
+
+	if (findElement("card.finishedBadge", card)){
+		return true;
+	}
+
+	return findElement("card.progress", card, progress => progress.style.width == "100%") != false;
+
+}
+
+/**
+ * Checks whether the rules hide the given card.
+ *
+ * @param {Element} card The card
+ * @returns True if the card should be hidden
+ */
+function isCardHiddenByRules(card){
+
+	const title = findCardDetail(card, "title") || '';
+	const link = getCardLink(card);
+	if (matchesAnyFeedPattern(title, settings.blockedSeries) || matchesAnyFeedPattern(link, settings.blockedSeries)){
+		return true;
+	}
+
+	return settings.hideFinishedSeries && isFinishedSeriesCard(card);
+
+}
+
+/**
+ * Hide or show an element depending on the rules, leaving anything
+ * which was hidden for other reasons alone.
+ *
+ * @param {HTMLElement} elem The row or card
+ * @param {Boolean} hidden Whether the rules hide it
+ */
+function setHiddenByRules(elem, hidden){
+	if (hidden){
+		elem.dataset[FEED_RULE_HIDDEN_ATTRIBUTE] = "true";
+		elem.style.display = 'none';
+	}else if (elem.dataset[FEED_RULE_HIDDEN_ATTRIBUTE]){
+		delete elem.dataset[FEED_RULE_HIDDEN_ATTRIBUTE];
+		elem.style.display = '';
+	}
+}
+
+/**
+ * Checks whether the given row or card was hidden by the rules.
+ *
+ * @param {HTMLElement} elem The row or card
+ * @returns True if it was hidden by the rules
+ */
+function isHiddenByRules(elem){
+	return elem.dataset[FEED_RULE_HIDDEN_ATTRIBUTE] == "true";
+}
+
+/**
+ * Apply the rules to every navigable row in the feed.
+ *
+ * Rows which end up with no visible cards are hidden as well.
+ *
+ * @param {Element[]} rows Every row in the feed, in DOM order
+ */
+function applyFeedRules(rows){
+
+	for (const row of rows){
+
+		if (!ROW_TYPES[getRowType(row)].navigable){
+			continue;
+		}
+
+		// Hide (or show again) each card
+		const cards = Array.from(ROW_TYPES[getRowType(row)].getCards(row));
+		for (const card of cards){
+			setHiddenByRules(card, isCardHiddenByRules(card));
+		}
+
+		const title = getRowTitle(row);
+		const allCardsHidden = cards.length > 0 && cards.every(isHiddenByRules);
+		setHiddenByRules(row, allCardsHidden || matchesAnyFeedPattern(title, settings.hiddenRows));
+
+		// Pinned rows go first, in the order they were pinned
+		const pin = settings.pinnedRows.findIndex(pattern => matchesFeedPattern(title, pattern));
+		row.style.order = (title != '' && pin != -1) ? String(pin - settings.pinnedRows.length) : '';
+
+	}
+
+}
@@ -0,0 +1,179 @@
+/**
+ * The focus ring: how the highlighted card, button or episode is
+ * drawn, and how the page scrolls to it.
+ *
+ * Every page draws its highlight with the same class, styled by
+ * css/focus.css, so they all share one theme. The theme's colour,
+ * thickness, scale and glow come from the settings, and are handed
+ * to the stylesheet as CSS custom properties on the root element.
+ *
+ * Animation (the scale-up and smooth scrolling) is turned off when
+ * the user asks for reduced motion, either in the options or in
+ * their system settings.
+ */
+
+
+// Class given to the highlighted card, button or episode
+const FOCUS_CLASS = 'crunchynav-focus';
+
+// Where the highlighted row is kept when scrolling, as a fraction
+// of the window's height from the top. Keeping it in one place
+// (rather than scrolling as little as possible) means the eye
+// doesn't have to follow the highlight up and down the screen.
+const FOCUS_SCROLL_ANCHOR = 0.3;
+
+/**
+ * Checks whether animations should be turned off.
+ *
+ * @returns True if the user has asked for reduced motion
+ */
+function isReducedMotion(){
+	if (settings.focusMotion == "reduce"){
+		return true;
+	}
+	return settings.focusMotion == "auto" && matchMedia("(prefers-reduced-motion: reduce)").matches;
+}
+
+/**
+ * Hand the focus ring's theme over to css/focus.css.
+ */
+function applyFocusTheme(){
+
+	const root = document.documentElement;
+	root.style.setProperty("--crunchynav-focus-color", settings.focusColor);
+	root.style.setProperty("--crunchynav-focus-thickness", settings.focusThickness + "px");
+	root.style.setProperty("--crunchynav-focus-scale", String(settings.focusScale));
+	root.style.setProperty("--crunchynav-focus-glow", settings.focusGlow ? "1rem" : "0");
+
+	if (isReducedMotion()){
+		root.dataset.crunchynavMotion = "reduce";
+	}else{
+		delete root.dataset.crunchynavMotion;
+	}
+
+}
+
+/**
+ * Move the highlight's styling from one card to another.
+ *
+ * Header items get an outline without the scale-up, since they're
+ * packed tightly together.
+ *
+ * This only deals with the styling, so every page can highlight
+ * its cards the same way.
+ *
+ * @param {Element|false} oldCard The previously highlighted card, if any
+ * @param {Element|false} newCard The card to highlight, if any
+ */
+function drawCardHighlight(oldCard, newCard){
+
+	if (oldCard){
+		oldCard.classList.remove(FOCUS_CLASS, HEADER_FOCUS_CLASS);
+	}
+
+	if (newCard == false){
+		return;
+	}
+
+	if (isHeaderItem(newCard)){
+		newCard.classList.add(HEADER_FOCUS_CLASS);
+	}else{
+		newCard.classList.add(FOCUS_CLASS);
+	}
+
+}
+
+/**
+ * Find the closest ancestor of an element which scrolls in the given
+ * direction (eg. a carousel sideways, or a long menu up and down).
+ *
+ * @param {Element} elem The element
+ * @param {Boolean} vertical True to look for an ancestor which scrolls
+ * up and down, false for one which scrolls sideways
+ * @returns The ancestor, or false if there isn't one (other than the
+ * page itself)
+ */
+function getScroller(elem, vertical){
+
+	for (let parent = elem.parentElement; parent && parent != document.body; parent = parent.parentElement){
+		const style = getComputedStyle(parent);
+		const overflow = vertical ? style.overflowY : style.overflowX;
+		const overflows = vertical ?
+			parent.scrollHeight > parent.clientHeight :
+			parent.scrollWidth > parent.clientWidth;
+		if ((overflow == "auto" || overflow == "scroll") && overflows){
+			return parent;
+		}
+	}
+
+	return false;
+
+}
+
+/**
+ * Checks whether an element stays put when the page scrolls (eg. a
+ * dialog or a dropdown in the fixed header).
+ *
+ * @param {Element} elem The element
+ * @returns True if the element or one of its ancestors is fixed
+ */
+function isFixedInPlace(elem){
+	for (let node = elem; node && node != document.body; node = node.parentElement){
+		if (getComputedStyle(node).position == "fixed"){
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * Scroll the page so that a highlighted element is on screen.
+ *
+ * The element's row is kept at FOCUS_SCROLL_ANCHOR, and the element
+ * is centred within its carousel (if it's in one). A row which is too
+ * tall for that still has the element itself scrolled fully into view.
+ *
+ * Elements in something which scrolls by itself (eg. a long menu) are
+ * anchored within that instead of the page, and elements which are
+ * fixed in place don't scroll the page at all.
+ *
+ * @param {Element} elem The highlighted element
+ * @param {Element} row The element's row (optional). Defaults to
+ * the element itself.
+ */
+function scrollToFocus(elem, row = elem){
+
+	const behavior = isReducedMotion() ? "auto" : "smooth";
+
+	const scroller = getScroller(elem, false);
+	if (scroller){
+		const elemRect = elem.getBoundingClientRect();
+		const scrollerRect = scroller.getBoundingClientRect();
+		const offset = (elemRect.left + elemRect.width / 2) - (scrollerRect.left + scrollerRect.width / 2);
+		scroller.scrollBy({ left: offset, behavior: behavior });
+	}
+
+	const verticalScroller = getScroller(elem, true);
+	if (verticalScroller == false && isFixedInPlace(elem)){
+		return;
+	}
+
+	// The visible area being scrolled, relative to the window
+	const view = verticalScroller ?
+		verticalScroller.getBoundingClientRect() :
+		{ top: 0, bottom: window.innerHeight, height: window.innerHeight };
+
+	const elemRect = elem.getBoundingClientRect();
+	let top = row.getBoundingClientRect().top - (view.top + view.height * FOCUS_SCROLL_ANCHOR);
+	top = Math.max(top, elemRect.bottom - view.bottom);
+	top = Math.min(top, elemRect.top - view.top);
+
+	(verticalScroller || window).scrollBy({ top: top, behavior: behavior });
+
+}
+
+// The theme is the same on every page, so it's kept up to date for
+// as long as the page is open
+onSettingsChanged(applyFocusTheme);
+matchMedia("(prefers-reduced-motion: reduce)").addEventListener("change", applyFocusTheme);
+applyFocusTheme();
@@ -0,0 +1,258 @@
+/**
+ * Gamepad support for CrunchyNav.
+ *
+ * Browsers don't fire events when a gamepad button is pressed.
+ * Instead, the state of each connected gamepad has to be polled
+ * through navigator.getGamepads().
+ *
+ * This file polls the connected gamepads once per animation frame
+ * and translates their buttons and left stick into logical actions.
+ *
+ * The logical actions are:
+ * - up, down, left, right (d-pad or left stick)
+ * - select (A)
+ * - back (B)
+ * - secondary (X)
+ * - tertiary (Y)
+ * - previous, next (left and right shoulder buttons)
+ * - pageUp, pageDown (left and right triggers)
+ * - first, last (left and right stick clicks)
+ * - quickJump (View/Select)
+ * - fullscreen (Y), subtitles (View/Select), playPause (Menu/Start)
+ *
+ * Each page script passes in a map of action name to handler function,
+ * so a gamepad runs the same functions as the keyboard does.
+ *
+ * Button indexes are based on the "standard" gamepad mapping,
+ * which is what most controllers report.
+ * https://w3c.github.io/gamepad/#remapping
+ */
+
+
+// Maps the standard gamepad button indexes to logical actions.
+// A button can trigger more than one action, as long as no page
+// uses both (eg. Y is fullscreen in the player, and the tertiary
+// action everywhere else).
+const GAMEPAD_BUTTON_ACTIONS = {
+	0: "select",
+	1: "back",
+	2: "secondary",
+	3: ["fullscreen", "tertiary"],
+	4: "previous",
+	5: "next",
+	6: "pageUp",
+	7: "pageDown",
+	8: ["subtitles", "quickJump"],
+	9: "playPause",
+	10: "first",
+	11: "last",
+	12: "up",
+	13: "down",
+	14: "left",
+	15: "right"
+};
+
+// How far the left stick needs to be pushed (0 to 1) before it
+// counts as a direction.
+// Worn sticks often rest slightly off-center, so this can't be 0.
+const GAMEPAD_DEADZONE = 0.5;
+
+// Actions which are currently held down, mapped to:
+// - next: The time at which they should next fire
+// - repeats: How many times they've repeated so far
+// Directions repeat as they do on the keyboard (see
+// getRepeatInterval() in keyboard.js).
+var gamepadHeldActions = {};
+
+// Handlers passed in by the page script.
+var gamepadActionHandlers = {};
+
+// ID of the pending animation frame, or 0 if not polling.
+var gamepadPollRequest = 0;
+
+/**
+ * Creates a stand-in for a KeyboardEvent.
+ *
+ * The navigation functions expect an event so that they can call
+ * preventDefault() on it. There's no default behavior to prevent
+ * for a gamepad, so this is a no-op.
+ *
+ * @param {String} action The logical action which was triggered
+ * @returns An object which can be passed to the navigation functions
+ */
+function createGamepadEvent(action){
+	return {
+		type: "gamepad",
+		action: action,
+		preventDefault: () => {}
+	};
+}
+
+/**
+ * Works out which logical actions are currently held down
+ * across every connected gamepad.
+ *
+ * @returns Array of action names
+ */
+function getPressedGamepadActions(){
+
+	const pressed = [];
+
+	for (const gamepad of navigator.getGamepads()){
+
+		// Disconnected slots are reported as null
+		if (gamepad == null){
+			continue;
+		}
+
+		for (const index in GAMEPAD_BUTTON_ACTIONS){
+			const button = gamepad.buttons[index];
+			if (button && button.pressed){
+				pressed.push(...[].concat(GAMEPAD_BUTTON_ACTIONS[index]));
+			}
+		}
+
+		// Left stick. Axis 0 is horizontal, axis 1 is vertical.
+		// Only the dominant axis counts, otherwise a slightly
+		// diagonal push would move in two directions at once.
+		const x = gamepad.axes[0] || 0;
+		const y = gamepad.axes[1] || 0;
+		if (Math.max(Math.abs(x), Math.abs(y)) < GAMEPAD_DEADZONE){
+			continue;
+		}
+
+		if (Math.abs(x) > Math.abs(y)){
+			pressed.push(x < 0 ? "left" : "right");
+		}else{
+			pressed.push(y < 0 ? "up" : "down");
+		}
+
+	}
+
+	return pressed;
+
+}
+
+/**
+ * Runs the handler for the given action, if the page has one.
+ *
+ * @param {String} action The logical action to run
+ */
+function runGamepadAction(action){
+	const handler = gamepadActionHandlers[action];
+	if (handler){
+		handler(createGamepadEvent(action));
+	}
+}
+
+/**
+ * Polls the gamepads once, fires any actions which were pressed
+ * or are due to repeat, then schedules the next poll.
+ */
+function pollGamepads(){
+
+	const now = performance.now();
+	const pressed = getPressedGamepadActions();
+
+	// Forget about anything which has been released
+	for (const action in gamepadHeldActions){
+		if (!pressed.includes(action)){
+			delete gamepadHeldActions[action];
+		}
+	}
+
+	for (const action of pressed){
+
+		const held = gamepadHeldActions[action];
+
+		// Newly pressed
+		if (held === undefined){
+			gamepadHeldActions[action] = { next: now + getRepeatInterval(0), repeats: 0 };
+			runGamepadAction(action);
+			continue;
+		}
+
+		// Still held. Repeat it if it's a direction and it's due.
+		if (REPEATING_ACTIONS.includes(action) && now >= held.next){
+			held.repeats++;
+			held.next = now + getRepeatInterval(held.repeats);
+			runGamepadAction(action);
+		}
+
+	}
+
+	gamepadPollRequest = requestAnimationFrame(pollGamepads);
+
+}
+
+/**
+ * Starts polling, unless it has already been started.
+ */
+function startGamepadPolling(){
+	if (gamepadPollRequest == 0){
+		gamepadPollRequest = requestAnimationFrame(pollGamepads);
+	}
+}
+
+/**
+ * Stops polling once the last gamepad has been disconnected.
+ */
+function stopGamepadPolling(){
+
+	const connected = Array.from(navigator.getGamepads()).some(gamepad => gamepad != null);
+	if (connected){
+		return;
+	}
+
+	cancelAnimationFrame(gamepadPollRequest);
+	gamepadPollRequest = 0;
+	gamepadHeldActions = {};
+
+}
+
+/**
+ * Starts listening for gamepad input.
+ *
+ * Polling only runs while a gamepad is connected, so this costs
+ * nothing for keyboard users.
+ * It stops when the page module which started it is torn down
+ * (see router.js).
+ *
+ * @param {Object} handlers Map of logical action names to the
+ * functions which should run for them.
+ * eg. { up: previousRow, down: nextRow }
+ */
+function initGamepadObserver(handlers){
+
+	// Not every browser supports gamepads
+	if (!navigator.getGamepads){
+		return;
+	}
+
+	gamepadActionHandlers = handlers;
+
+	addPageEventListener(window, "gamepadconnected", () => {
+		startGamepadPolling();
+	});
+
+	addPageEventListener(window, "gamepaddisconnected", () => {
+		stopGamepadPolling();
+	});
+
+	// Stop polling altogether when the page module is torn down.
+	// The next module starts it again if it wants gamepad input.
+	onPageTeardown(() => {
+		cancelAnimationFrame(gamepadPollRequest);
+		gamepadPollRequest = 0;
+		gamepadHeldActions = {};
+		gamepadActionHandlers = {};
+	});
+
+	// A gamepad might have been connected before this script loaded,
+	// in which case the connected event won't fire.
+	const connected = Array.from(navigator.getGamepads()).some(gamepad => gamepad != null);
+	if (connected){
+		startGamepadPolling();
+	}
+
+}
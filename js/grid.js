@@ -0,0 +1,604 @@
+/**
+ * Navigation for pages which lay their cards out in a grid, such as
+ * the watchlist, Crunchylists and watch history.
+ *
+ * Unlike the homepage, these pages don't have rows in the DOM.
+ * Instead, a row is whichever cards share a visual line on screen,
+ * so the rows are worked out from where the cards are drawn:
+ * - left/right move along a line, wrapping onto the next/previous line
+ * - up/down move to the nearest card on the line above/below
+ * - moving up from the first line goes to the page's controls (eg.
+ *   sort and filter dropdowns), then the header (see header.js)
+ *
+ * The cards are looked up again whenever they're needed, so when
+ * the site replaces them (eg. after applying a filter), the grid is
+ * simply re-read, and the highlight moves back to the first card.
+ * A card which is removed by one of its own actions hands the
+ * highlight on to whichever card takes its place instead.
+ *
+ * Each grid page is described by a plain object, which is turned
+ * into a page module by createGridPageModule():
+ * - name: The page module's name (see router.js)
+ * - matches: Function(location) returning true for the page's URLs
+ * - cards: Name of the page's cards in the selector profile (see
+ *   selectors.js)
+ * - cardActions: Map of logical action names to the card's own
+ *   buttons which that action presses (optional). Each one has:
+ *   - button: Name of the button in the selector profile
+ *   - menuItem: Regular expression matching the text of the item
+ *     in the card's "more options" menu, used if the card doesn't
+ *     have the button itself
+ *   - confirm: Message asking for the action to be pressed again
+ *     before the button is pressed (optional). For actions which
+ *     can't easily be undone, since a stray press on a remote is
+ *     easy to make.
+ * - controls: Name of the controls above the grid in the selector
+ *   profile, such as sort and filter dropdowns (optional). Every
+ *   match of every candidate is used.
+ * - infinite: Whether the grid loads more cards when scrolled to the
+ *   bottom (optional)
+ */
+
+
+// How long to wait for a card's "more options" menu to open,
+// in milliseconds
+const GRID_MENU_TIMEOUT = 2000;
+
+// How long a card action waits to be pressed again, when it needs
+// confirming, in milliseconds
+const GRID_CONFIRM_TIMEOUT = 3000;
+
+// ID of the message asking for a card action to be confirmed
+const GRID_CONFIRM_ID = "crunchynav-grid-confirm";
+
+// How many lines from the bottom of the grid the highlight has to
+// be before more cards are loaded (infinite grids only)
+const GRID_LOAD_AHEAD_LINES = 2;
+
+// How long to wait for more cards to load before trying again,
+// in milliseconds
+const GRID_LOAD_TIMEOUT = 5000;
+
+// The grid page which is currently running, or false
+var activeGridPage = false;
+
+// Whether more cards have been asked for, and haven't arrived yet
+var gridLoadPending = false;
+
+// How many cards there were when more were asked for, to tell when
+// they've arrived
+var gridLoadCardCount = 0;
+
+// Timeout ID for giving up on more cards arriving
+var gridLoadTimeout = false;
+
+// The highlighted card (or header item), or false if nothing has
+// been highlighted yet
+var selectedGridCard = false;
+
+// Where the card which a card action last ran on was in the grid, or
+// false if the highlight has moved since. If that card goes away,
+// the highlight stays in the same place rather than going back to
+// the first card.
+var gridActionCardIndex = false;
+
+// The card action waiting to be pressed again, or false if none is.
+// - card: The card it was pressed on
+// - cardAction: The action (see the top of this file)
+// - timeout: Timeout ID for giving up on it
+var pendingGridConfirm = false;
+
+/**
+ * Retrieve the cards on the current grid page.
+ *
+ * @returns Array of visible cards (possibly empty)
+ */
+function getGridCards(){
+
+	if (activeGridPage == false){
+		return [];
+	}
+
+	return findElements(activeGridPage.cards, document, isSpatiallyNavigable);
+
+}
+
+/**
+ * Retrieve the controls above the grid (eg. sort and filter).
+ *
+ * @returns Array of visible controls (possibly empty)
+ */
+function getGridControls(){
+
+	if (activeGridPage == false || !activeGridPage.controls){
+		return [];
+	}
+
+	return collectElements(activeGridPage.controls, document, isSpatiallyNavigable);
+
+}
+
+/**
+ * Group cards into the visual lines they're drawn on.
+ *
+ * A card starts a new line if its top edge is below the middle of
+ * the first card on the current line. This allows for cards on the
+ * same line being slightly different heights.
+ *
+ * @param {Element[]} cards The cards
+ * @returns Array of lines, each of which is an array of cards from
+ * left to right
+ */
+function getGridLines(cards){
+
+	const measured = cards.map(card => ({ card: card, rect: card.getBoundingClientRect() }));
+	measured.sort((a, b) => (a.rect.top - b.rect.top) || (a.rect.left - b.rect.left));
+
+	const lines = [];
+	let lineRect = false;
+	for (const { card, rect } of measured){
+		if (lineRect == false || rect.top >= lineRect.top + lineRect.height / 2){
+			lines.push([]);
+			lineRect = rect;
+		}
+		lines[lines.length - 1].push({ card: card, rect: rect });
+	}
+
+	return lines.map(line =>
+		line.sort((a, b) => a.rect.left - b.rect.left).map(entry => entry.card)
+	);
+
+}
+
+/**
+ * Retrieve the highlighted card, if it's still on the page.
+ *
+ * @returns The highlighted card, or false
+ */
+function getSelectedGridCard(){
+	if (selectedGridCard && !document.body.contains(selectedGridCard)){
+		selectedGridCard = false;
+	}
+	return selectedGridCard;
+}
+
+/**
+ * Highlight the given card (or header item).
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ * @param {Element} card The card to highlight
+ */
+function highlightGridCard(e, card){
+
+	cancelGridConfirm();
+	gridActionCardIndex = false;
+	drawCardHighlight(getSelectedGridCard(), card);
+	if (!isHeaderItem(card)){
+		scrollToFocus(card);
+	}
+	selectedGridCard = card;
+
+	e.preventDefault();
+
+}
+
+/**
+ * Find the card on the given line closest to the given card
+ * horizontally.
+ *
+ * @param {Element[]} line The cards on the line
+ * @param {Element} card The card to line up with
+ * @returns The closest card on the line
+ */
+function findClosestInGridLine(line, card){
+
+	const rect = card.getBoundingClientRect();
+	const center = rect.left + rect.width / 2;
+
+	let closest = line[0];
+	let closestDistance = Infinity;
+	for (const candidate of line){
+		const candidateRect = candidate.getBoundingClientRect();
+		const distance = Math.abs(candidateRect.left + candidateRect.width / 2 - center);
+		if (distance < closestDistance){
+			closest = candidate;
+			closestDistance = distance;
+		}
+	}
+
+	return closest;
+
+}
+
+/**
+ * Move the highlight one step in the given direction.
+ *
+ * If nothing is highlighted yet, the first card is highlighted,
+ * whichever direction was pressed.
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ * @param {String} direction One of up, down, left or right
+ */
+function moveGridHighlight(e, direction){
+
+	const cards = getGridCards();
+	const current = getSelectedGridCard();
+
+	const controls = getGridControls();
+
+	// The header is a separate zone. Down leaves it again, into
+	// the controls if there are any.
+	if (isHeaderItem(current)){
+		let item = false;
+		if (direction == "down"){
+			item = controls[0] || cards[0] || false;
+		}else{
+			item = findHeaderItem(current, direction);
+		}
+		e.preventDefault();
+		if (item){
+			highlightGridCard(e, item);
+		}
+		return;
+	}
+
+	// So are the controls, between the header and the grid
+	if (controls.includes(current)){
+		let item = false;
+		if (direction == "up"){
+			item = findHeaderItem(current, direction);
+		}else if (direction == "down"){
+			item = (cards.length > 0) ? findClosestInGridLine(getGridLines(cards)[0], current) : false;
+		}else{
+			item = findSpatialFocus(current, direction, { candidates: controls });
+		}
+		e.preventDefault();
+		if (item){
+			highlightGridCard(e, item);
+		}
+		return;
+	}
+
+	if (cards.length == 0){
+		return;
+	}
+
+	if (current == false || !cards.includes(current)){
+		highlightGridCard(e, cards[0]);
+		return;
+	}
+
+	const lines = getGridLines(cards);
+	const lineIndex = lines.findIndex(line => line.includes(current));
+	const line = lines[lineIndex];
+	const column = line.indexOf(current);
+
+	let card = false;
+
+	if (direction == "left"){
+		if (column > 0){
+			card = line[column - 1];
+		}else if (lineIndex > 0){
+			card = lines[lineIndex - 1][lines[lineIndex - 1].length - 1];
+		}
+	}else if (direction == "right"){
+		if (column < line.length - 1){
+			card = line[column + 1];
+		}else if (lineIndex < lines.length - 1){
+			card = lines[lineIndex + 1][0];
+		}
+	}else if (direction == "up"){
+		if (lineIndex > 0){
+			card = findClosestInGridLine(lines[lineIndex - 1], current);
+		}else if (controls.length > 0){
+			card = findSpatialFocus(current, direction, { candidates: controls }) || controls[0];
+		}else{
+			card = findHeaderItem(current, direction);
+		}
+	}else if (direction == "down"){
+		if (lineIndex < lines.length - 1){
+			card = findClosestInGridLine(lines[lineIndex + 1], current);
+		}
+	}
+
+	// If there's nothing in that direction, let the web page handle
+	// the keyboard event instead (eg. by scrolling).
+	if (card == false){
+		return;
+	}
+
+	highlightGridCard(e, card);
+
+	// Load more cards before the highlight reaches the bottom
+	const newLineIndex = lines.findIndex(line => line.includes(card));
+	if (newLineIndex >= lines.length - GRID_LOAD_AHEAD_LINES){
+		loadMoreGridCards();
+	}
+
+}
+
+/**
+ * Ask an infinite grid to load more cards.
+ *
+ * The site loads more cards once the bottom of the page scrolls
+ * into view, so this scrolls there, then scrolls back to the
+ * highlighted card once the new cards arrive (see onGridChanged()).
+ */
+function loadMoreGridCards(){
+
+	if (!activeGridPage.infinite || gridLoadPending){
+		return;
+	}
+
+	gridLoadPending = true;
+	gridLoadCardCount = getGridCards().length;
+	window.scrollTo(0, document.documentElement.scrollHeight);
+
+	// If nothing arrives (eg. the end of the grid), allow another
+	// attempt later, and scroll back to the highlight
+	gridLoadTimeout = setTimeout(() => {
+		gridLoadPending = false;
+		scrollToGridHighlight();
+	}, GRID_LOAD_TIMEOUT);
+
+}
+
+/**
+ * Scroll the highlighted card back into view.
+ */
+function scrollToGridHighlight(){
+	const card = getSelectedGridCard();
+	if (card && !isHeaderItem(card)){
+		scrollToFocus(card);
+	}
+}
+
+/**
+ * Called whenever the page's content changes.
+ *
+ * Finishes loading more cards, if that's pending and they've arrived.
+ * The whole page is observed, so most changes have nothing to do
+ * with the grid, and the site only starts loading once it has
+ * scrolled to the bottom. So it's only finished once there are more
+ * cards than before (or the timeout in loadMoreGridCards() passes).
+ *
+ * If the highlighted card has gone, the card now in its place (or
+ * the last card) is highlighted if it was removed by a card action.
+ * Otherwise (eg. the grid was rebuilt after applying a filter), the
+ * first card of the new grid is highlighted instead.
+ */
+function onGridChanged(){
+
+	if (gridLoadPending && getGridCards().length > gridLoadCardCount){
+		clearTimeout(gridLoadTimeout);
+		gridLoadPending = false;
+		scrollToGridHighlight();
+	}
+
+	if (selectedGridCard && !document.body.contains(selectedGridCard)){
+		selectedGridCard = false;
+		const cards = getGridCards();
+		const index = (gridActionCardIndex === false) ? 0 : Math.min(gridActionCardIndex, cards.length - 1);
+		if (cards.length > 0){
+			highlightGridCard({ preventDefault: () => {} }, cards[index]);
+		}
+	}
+
+}
+
+/**
+ * Open the highlighted card, or click the highlighted header item.
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ */
+function selectGridCard(e){
+
+	const card = getSelectedGridCard();
+	if (card == false){
+		return;
+	}
+
+	if (isHeaderItem(card) || getGridControls().includes(card) || card.tagName == 'A'){
+		e.preventDefault();
+		card.click();
+		return;
+	}
+
+	const anchor = card.querySelector('a[href]');
+	if (anchor){
+		e.preventDefault();
+		anchor.click();
+	}
+
+}
+
+/**
+ * Show a message asking for a card action to be pressed again, and
+ * wait for that.
+ *
+ * @param {Element} card The highlighted card
+ * @param {Object} cardAction The action (see the top of this file)
+ */
+function requestGridConfirm(card, cardAction){
+
+	cancelGridConfirm();
+
+	const message = document.createElement("div");
+	message.id = GRID_CONFIRM_ID;
+	message.setAttribute("role", "status");
+	message.textContent = cardAction.confirm;
+	document.body.appendChild(message);
+
+	pendingGridConfirm = {
+		card: card,
+		cardAction: cardAction,
+		timeout: setTimeout(cancelGridConfirm, GRID_CONFIRM_TIMEOUT)
+	};
+
+}
+
+/**
+ * Stop waiting for a card action to be pressed again, if it was,
+ * and hide the message.
+ */
+function cancelGridConfirm(){
+
+	if (pendingGridConfirm){
+		clearTimeout(pendingGridConfirm.timeout);
+		pendingGridConfirm = false;
+	}
+
+	const message = document.getElementById(GRID_CONFIRM_ID);
+	if (message){
+		message.remove();
+	}
+
+}
+
+/**
+ * Press one of the highlighted card's own buttons, such as "remove
+ * from watchlist".
+ *
+ * Actions which need confirming only press the button the second
+ * time in a row that they're pressed on the same card.
+ *
+ * If the card doesn't show the button itself, its "more options"
+ * menu is opened, and the menu item is clicked once it appears.
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ * @param {Object} cardAction The button to press (see the top of
+ * this file)
+ */
+function runGridCardAction(e, cardAction){
+
+	const card = getSelectedGridCard();
+	if (card == false || !getGridCards().includes(card)){
+		return;
+	}
+
+	e.preventDefault();
+
+	if (cardAction.confirm){
+		const confirmed = pendingGridConfirm &&
+			pendingGridConfirm.card == card && pendingGridConfirm.cardAction == cardAction;
+		if (!confirmed){
+			requestGridConfirm(card, cardAction);
+			return;
+		}
+		cancelGridConfirm();
+	}
+
+	gridActionCardIndex = getGridCards().indexOf(card);
+
+	const button = cardAction.button ? findElement(cardAction.button, card) : false;
+	if (button){
+		button.click();
+		return;
+	}
+
+	const menuButton = findElement("grid.menuButton", card);
+	if (menuButton == false){
+		console.error("CrunchyNav: Card action not found");
+		return;
+	}
+
+	const findMenuItem = () => {
+		const menu = getOpenMenu();
+		if (menu == false){
+			return false;
+		}
+		return getMenuItems(menu).find(item => cardAction.menuItem.test(item.textContent)) || false;
+	};
+
+	// The menu is rendered after the click, so wait for it.
+	// Give up if the item never turns up (eg. a series which is
+	// already marked as watched, or a menu which never opens).
+	let found = false;
+	menuButton.click();
+	const stopWaiting = waitForElement(() => findMenuItem() != false, () => {
+		found = true;
+		findMenuItem().click();
+	});
+
+	const timeout = setTimeout(() => {
+		if (found == false){
+			stopWaiting();
+			console.error("CrunchyNav: Card menu item not found");
+		}
+	}, GRID_MENU_TIMEOUT);
+	onPageTeardown(() => clearTimeout(timeout));
+
+}
+
+/**
+ * Retrieve the functions which should run for each logical action.
+ *
+ * The directions (and previous/next) move around the grid, select
+ * opens the highlighted card and back goes back. Any other actions
+ * press the card's own buttons, as set up by the page.
+ *
+ * While a menu or dialog is open, the actions go to that instead
+ * (see menus.js).
+ *
+ * @param {Object} page The grid page (see the top of this file)
+ * @returns Map of action names to handler functions
+ */
+function getGridActionHandlers(page){
+
+	const handlers = {
+		up: e => moveGridHighlight(e, "up"),
+		down: e => moveGridHighlight(e, "down"),
+		left: e => moveGridHighlight(e, "left"),
+		right: e => moveGridHighlight(e, "right"),
+		previous: e => moveGridHighlight(e, "up"),
+		next: e => moveGridHighlight(e, "down"),
+		select: selectGridCard,
+		back: navigateBack
+	};
+
+	for (const action in page.cardActions || {}){
+		handlers[action] = e => runGridCardAction(e, page.cardActions[action]);
+	}
+
+	return withMenuHandlers(handlers);
+
+}
+
+/**
+ * Turn a grid page into a page module (see router.js).
+ *
+ * The cards are looked up whenever a key is pressed, so the page
+ * starts straight away, even if the cards haven't loaded yet.
+ * Changes to the page are still observed, to notice the grid being
+ * rebuilt or growing.
+ *
+ * @param {Object} page The grid page (see the top of this file)
+ * @returns The page module
+ */
+function createGridPageModule(page){
+	return {
+		name: page.name,
+		matches: page.matches,
+		start: () => {
+			activeGridPage = page;
+			initKeyboardObserver(getGridActionHandlers(page));
+			initGamepadObserver(getGridActionHandlers(page));
+
+			// Cards are added and replaced anywhere within the page
+			const observer = trackObserver(new MutationObserver(onGridChanged));
+			observer.observe(document.body, {
+				childList: true,
+				subtree: true,
+				characterData: false
+			});
+		},
+		stop: () => {
+			clearTimeout(gridLoadTimeout);
+			cancelGridConfirm();
+			activeGridPage = false;
+			selectedGridCard = false;
+			gridActionCardIndex = false;
+			gridLoadPending = false;
+		}
+	};
+}
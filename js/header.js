@@ -0,0 +1,98 @@
+/**
+ * The site's header bar (Home, Browse, Search, the watchlist and the
+ * profile menu).
+ *
+ * The header is its own focus zone. It's entered by moving up from
+ * the first row, left/right move between its items, and down leaves
+ * it again. Items which open a dropdown (eg. Browse and the profile
+ * menu) are clicked like any other item, after which menus.js traps
+ * navigation inside the dropdown until back closes it.
+ */
+
+
+// Class given to the highlighted header item
+const HEADER_FOCUS_CLASS = 'crunchynav-header-focus';
+
+/**
+ * Retrieve the header bar.
+ *
+ * @returns The header, or false if it couldn't be found
+ */
+function getHeader(){
+	return findElement("header.bar", document, isSpatiallyNavigable);
+}
+
+/**
+ * Retrieve the items within the header which can be highlighted.
+ *
+ * Items nested inside other items (eg. an icon inside a link) are
+ * left out, as are items which aren't currently visible (eg. the
+ * contents of a closed dropdown).
+ *
+ * @returns Array of items (possibly empty)
+ */
+function getHeaderItems(){
+
+	const header = getHeader();
+	if (header == false){
+		return [];
+	}
+
+	const items = findElements("header.item", header, isSpatiallyNavigable);
+	const itemSet = new Set(items);
+	return items.filter(item => {
+		for (let node = item.parentElement; node && node != header; node = node.parentElement){
+			if (itemSet.has(node)){
+				return false;
+			}
+		}
+		return true;
+	});
+
+}
+
+/**
+ * Checks whether the given element is one of the header's items.
+ *
+ * This runs several times on every key press, so rather than listing
+ * every item (see getHeaderItems()), it only checks that the element
+ * looks like an item and is inside the header. Only items from
+ * getHeaderItems() are ever highlighted, so that's all it takes to
+ * tell them apart from cards.
+ *
+ * @param {Element} elem The element to check
+ * @returns True if `elem` is a header item
+ */
+function isHeaderItem(elem){
+	if (elem == false || !matchesElement("header.item", elem)){
+		return false;
+	}
+	const header = getHeader();
+	return header != false && header.contains(elem);
+}
+
+/**
+ * Decide which header item to highlight when moving in the given
+ * direction.
+ *
+ * From outside the header (ie. moving up into it), this is the item
+ * nearest to whatever is currently highlighted.
+ *
+ * @param {Element|false} current The currently highlighted element
+ * @param {String} direction One of up, down, left or right
+ * @returns The header item, or false if there isn't one that way
+ */
+function findHeaderItem(current, direction){
+
+	const items = getHeaderItems();
+	if (items.length == 0){
+		return false;
+	}
+
+	const item = findSpatialFocus(current, direction, { candidates: items });
+	if (item == false && !items.includes(current)){
+		return items[0];
+	}
+	return item;
+
+}
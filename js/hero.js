@@ -0,0 +1,168 @@
+/**
+ * The "hero" carousel at the top of the homepage.
+ *
+ * This is a rotating banner which features a handful of series,
+ * one slide at a time.
+ *
+ * Depending on the `heroBanner` setting, it's either hidden, or
+ * treated as row 0 of the feed. When it's highlighted:
+ * - left/right page through its slides
+ * - select opens the featured series
+ * - the secondary action adds the featured series to the watchlist
+ *
+ * Only visible controls count when looking them up (see
+ * isHeroSlideVisible()), since every slide has its own copy of some
+ * controls, and only the current slide is visible.
+ */
+
+
+/**
+ * Retrieve the hero carousel, if it's being shown.
+ *
+ * @returns The hero carousel element, or false if it's missing
+ * or hidden
+ */
+function getHeroRow(){
+
+	const children = getErcFeed();
+	if (children == false){
+		return false;
+	}
+
+	// The first child is expected to be the "hero" banner
+	// (first div, no class name).
+	const heroBanner = children[0];
+	if (heroBanner.className != '' || heroBanner.style.display == 'none'){
+		return false;
+	}
+
+	return heroBanner;
+
+}
+
+/**
+ * Checks whether the given element is the hero carousel.
+ *
+ * @param {Element} elem The element to check
+ * @returns True if `elem` is the hero carousel
+ */
+function isHeroRow(elem){
+	return elem != false && elem == feedController.getModel().hero;
+}
+
+/**
+ * Checks whether an element is visible within the hero carousel.
+ *
+ * Slides which aren't currently shown are either hidden or moved
+ * outside of the carousel's bounds.
+ *
+ * @param {Element} elem The element to check
+ * @returns True if the element is on screen within the carousel
+ */
+function isHeroSlideVisible(elem){
+
+	if (!isSpatiallyNavigable(elem)){
+		return false;
+	}
+
+	const hero = getHeroRow();
+	if (hero == false){
+		return false;
+	}
+
+	const heroRect = hero.getBoundingClientRect();
+	const rect = elem.getBoundingClientRect();
+	return rect.left < heroRect.right && rect.right > heroRect.left;
+
+}
+
+/**
+ * Move the hero carousel one slide left or right.
+ *
+ * Uses the carousel's own arrow buttons if it has them, otherwise
+ * clicks the pagination button next to the current one.
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ * @param {String} direction Either left or right
+ */
+function pageHeroCarousel(e, direction){
+
+	const hero = getHeroRow();
+	if (hero == false){
+		return;
+	}
+
+	const arrowName = (direction == "left") ? "hero.previous" : "hero.next";
+	const arrow = findElement(arrowName, hero, isHeroSlideVisible);
+	if (arrow){
+		arrow.click();
+		e.preventDefault();
+		return;
+	}
+
+	const pages = findElements("hero.pagination", hero);
+	if (pages.length > 0){
+
+		// The current page is usually marked with aria-current or
+		// an "active" class. Assume the first page if neither is set.
+		let current = pages.findIndex(page =>
+			page.getAttribute('aria-current') == 'true' || page.className.includes('active')
+		);
+		if (current == -1){
+			current = 0;
+		}
+
+		// Wrap around at either end, like the carousel itself does
+		const offset = (direction == "left") ? -1 : 1;
+		const next = (current + offset + pages.length) % pages.length;
+		pages[next].click();
+		e.preventDefault();
+		return;
+
+	}
+
+	console.error("CrunchyNav: Hero carousel controls not found");
+	reportMissingElements([arrowName, "hero.pagination"]);
+
+}
+
+/**
+ * Open the series featured on the current slide of the hero carousel.
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ */
+function openHeroSeries(e){
+
+	const hero = getHeroRow();
+	if (hero == false){
+		return;
+	}
+
+	const anchor = findElement("hero.link", hero, isHeroSlideVisible);
+	if (anchor){
+		e.preventDefault();
+		anchor.click();
+	}
+
+}
+
+/**
+ * Press the "add to watchlist" button on the current slide of the
+ * hero carousel.
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ */
+function addHeroSeriesToWatchlist(e){
+
+	const hero = getHeroRow();
+	if (hero == false){
+		return;
+	}
+
+	const button = findElement("hero.watchlist", hero, isHeroSlideVisible);
+	if (button){
+		button.click();
+		e.preventDefault();
+	}
+
+}
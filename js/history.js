@@ -0,0 +1,124 @@
+/**
+ * Back navigation and focus restoration for CrunchyNav.
+ *
+ * Each page saves what's currently highlighted (its "focus state")
+ * to sessionStorage, keyed by the page's path. When the user comes
+ * back to that page, it's read back so the same card can be
+ * highlighted again.
+ *
+ * The feed is dynamic, so focus states identify things by what they
+ * are (eg. a row's title and a card's link) rather than by index.
+ *
+ * This file also keeps a stack of the pages visited during the
+ * session, so that "back" can tell whether there's an earlier page
+ * within the site to go back to.
+ */
+
+
+// Prefix for the sessionStorage keys holding each page's focus state
+const FOCUS_STATE_PREFIX = "crunchynav-focus:";
+
+// sessionStorage key holding the stack of visited paths
+const PAGE_STACK_KEY = "crunchynav-page-stack";
+
+// Where to go when there's nothing to go back to
+const HOME_URL = "https://www.crunchyroll.com";
+
+/**
+ * Read a JSON value from sessionStorage.
+ *
+ * Some browsers throw when storage is disabled, and the stored value
+ * could have been mangled, so any failure just returns false.
+ *
+ * @param {String} key The key to read
+ * @returns The parsed value, or false
+ */
+function readSessionValue(key){
+	try {
+		const value = sessionStorage.getItem(key);
+		if (value == null){
+			return false;
+		}
+		return JSON.parse(value);
+	} catch (error){
+		return false;
+	}
+}
+
+/**
+ * Write a JSON value to sessionStorage.
+ *
+ * @param {String} key The key to write
+ * @param value The value to store
+ */
+function writeSessionValue(key, value){
+	try {
+		sessionStorage.setItem(key, JSON.stringify(value));
+	} catch (error){
+		console.error("CrunchyNav: Failed to save to session storage", error);
+	}
+}
+
+/**
+ * Save the focus state of the current page.
+ *
+ * @param {Object} state Whatever the page needs to find the
+ * highlighted element again
+ */
+function saveFocusState(state){
+	writeSessionValue(FOCUS_STATE_PREFIX + location.pathname, state);
+}
+
+/**
+ * Load the saved focus state of the current page.
+ *
+ * @returns The focus state, or false if nothing was saved
+ */
+function loadFocusState(){
+	return readSessionValue(FOCUS_STATE_PREFIX + location.pathname);
+}
+
+/**
+ * Record a visit to the current page on the page stack.
+ *
+ * Going back in the browser also starts the page module again,
+ * in which case the page is already at the top of the stack (or
+ * just below it), and the stack is unwound instead of growing.
+ */
+function recordPageVisit(){
+
+	const stack = readSessionValue(PAGE_STACK_KEY) || [];
+	const path = location.pathname;
+
+	const previousIndex = stack.lastIndexOf(path);
+	if (previousIndex != -1 && previousIndex >= stack.length - 2){
+		stack.length = previousIndex + 1;
+	}else{
+		stack.push(path);
+	}
+
+	writeSessionValue(PAGE_STACK_KEY, stack);
+
+}
+
+/**
+ * Go back to the previous page.
+ *
+ * Uses the browser's own history where there's an earlier page
+ * within the site to go back to. Otherwise (eg. the page was opened
+ * from a bookmark), it goes to the homepage.
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ */
+function navigateBack(e){
+
+	e.preventDefault();
+
+	const stack = readSessionValue(PAGE_STACK_KEY) || [];
+	if (stack.length > 1){
+		history.back();
+	}else{
+		location.href = HOME_URL;
+	}
+
+}
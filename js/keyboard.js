@@ -0,0 +1,337 @@
+/**
+ * Keyboard (and remote control) support for CrunchyNav.
+ *
+ * Keys are translated into the same logical actions which the
+ * gamepad uses (see gamepad.js), based on the user's key bindings.
+ *
+ * The key bindings are configured on the options page and stored
+ * in the `keyBindings` setting (see settings.js).
+ */
+
+
+// Human readable names for each logical action.
+// These are shown on the options page, in this order.
+const KEY_ACTION_LABELS = {
+	up: "Up",
+	down: "Down",
+	left: "Left",
+	right: "Right",
+	select: "Select",
+	back: "Back",
+	secondary: "Secondary action (eg. add to watchlist)",
+	tertiary: "Tertiary action (eg. mark as watched)",
+	previous: "Previous row / button",
+	next: "Next row / button",
+	pageUp: "Jump up several rows",
+	pageDown: "Jump down several rows",
+	first: "First card in the row (twice for the top of the page)",
+	last: "Last card in the row",
+	quickJump: "Jump to a category",
+	playPause: "Player: play/pause",
+	fullscreen: "Player: fullscreen",
+	subtitles: "Player: cycle subtitles",
+	audio: "Player: cycle audio",
+	skipIntro: "Player: skip intro",
+	nextEpisode: "Player: next episode"
+};
+
+// Actions which repeat while their key (or button) is held down.
+// Holding Enter shouldn't open a series over and over again.
+const REPEATING_ACTIONS = ["up", "down", "left", "right", "pageUp", "pageDown"];
+
+// Each repeat comes this much sooner than the one before, so that
+// holding a direction speeds up the longer it's held...
+const REPEAT_ACCELERATION = 0.85;
+
+// ...up to this many milliseconds between repeats
+const REPEAT_FASTEST_RATE = 40;
+
+// The shortest `repeatDelay` and `repeatRate` settings which are
+// honoured (matching the options page). Anything shorter (or a
+// setting which isn't a number at all) would fire a repeat on
+// every tick.
+const REPEAT_MIN_DELAY = 100;
+const REPEAT_MIN_RATE = 20;
+
+// The key which is currently being repeated, or false if none is.
+// - key: The key's name (see getKeyName()), to tell when it's released
+// - action: The action it repeats
+// - repeats: How many times it has repeated so far
+// - timeout: ID of the timeout for the next repeat
+var keyRepeat = false;
+
+/**
+ * Retrieve one of the key repeat settings, kept to a sensible minimum.
+ *
+ * @param {String} name Name of the setting
+ * @param {Number} minimum The shortest time allowed, in milliseconds
+ * @returns The setting's value, in milliseconds. The default is used
+ * if the setting isn't a positive number.
+ */
+function getRepeatSetting(name, minimum){
+	const value = settings[name];
+	if (Number.isFinite(value) == false || value <= 0){
+		return DEFAULT_SETTINGS[name];
+	}
+	return Math.max(value, minimum);
+}
+
+/**
+ * Retrieve how long to wait before the next repeat of a held action.
+ *
+ * The first repeat waits for the `repeatDelay` setting, and each one
+ * after that comes sooner, starting from the `repeatRate` setting.
+ *
+ * @param {Number} repeats How many times the action has repeated so far
+ * @returns The time to wait, in milliseconds
+ */
+function getRepeatInterval(repeats){
+	if (repeats == 0){
+		return getRepeatSetting("repeatDelay", REPEAT_MIN_DELAY);
+	}
+	const rate = getRepeatSetting("repeatRate", REPEAT_MIN_RATE);
+	const interval = rate * Math.pow(REPEAT_ACCELERATION, repeats - 1);
+	return Math.max(interval, Math.min(REPEAT_FASTEST_RATE, rate));
+}
+
+/**
+ * Retrieves every name by which the key in the given event could
+ * be bound.
+ *
+ * Most keyboards report a KeyboardEvent.code such as "KeyW".
+ * Some remote controls don't, and only report a KeyboardEvent.key
+ * (eg. "MediaPlayPause" or "GoBack") or, failing that, a legacy
+ * numeric keyCode.
+ *
+ * @param {KeyboardEvent} e The keyboard event
+ * @returns Array of names, most specific first
+ */
+function getKeyNames(e){
+
+	const names = [];
+
+	if (e.code){
+		names.push(e.code);
+	}
+
+	if (e.key && e.key != "Unidentified" && e.key != e.code){
+		names.push(e.key);
+	}
+
+	if (e.keyCode){
+		names.push("KeyCode" + e.keyCode);
+	}
+
+	return names;
+
+}
+
+/**
+ * Retrieves the name which should be stored when binding the
+ * key in the given event.
+ *
+ * @param {KeyboardEvent} e The keyboard event
+ * @returns Name of the key, or false if it can't be identified
+ */
+function getKeyName(e){
+	const names = getKeyNames(e);
+	if (names.length == 0){
+		return false;
+	}
+	return names[0];
+}
+
+/**
+ * Looks up which logical action the key in the given event is
+ * bound to.
+ *
+ * @param {KeyboardEvent} e The keyboard event
+ * @param {Object} keyBindings Map of action names to arrays of key names
+ * @returns Name of the action, or false if the key isn't bound
+ */
+function getKeyAction(e, keyBindings){
+
+	const names = getKeyNames(e);
+
+	for (const action in keyBindings){
+		const keys = keyBindings[action];
+		if (keys.some(key => names.includes(key))){
+			return action;
+		}
+	}
+
+	return false;
+
+}
+
+/**
+ * Finds any keys which are bound to more than one action.
+ *
+ * @param {Object} keyBindings Map of action names to arrays of key names
+ * @returns Map of key names to the actions they're bound to.
+ * Only conflicting keys are included, so an empty object means
+ * there are no conflicts.
+ */
+function findBindingConflicts(keyBindings){
+
+	const actionsByKey = {};
+
+	for (const action in keyBindings){
+		for (const key of keyBindings[action]){
+			if (!actionsByKey[key]){
+				actionsByKey[key] = [];
+			}
+			if (!actionsByKey[key].includes(action)){
+				actionsByKey[key].push(action);
+			}
+		}
+	}
+
+	const conflicts = {};
+	for (const key in actionsByKey){
+		if (actionsByKey[key].length > 1){
+			conflicts[key] = actionsByKey[key];
+		}
+	}
+
+	return conflicts;
+
+}
+
+/**
+ * Checks whether the user is currently typing into a form field.
+ *
+ * Keys shouldn't be hijacked while typing, otherwise binding
+ * letters (eg. WASD) would make the search box unusable.
+ *
+ * @param {EventTarget} target The target of the keyboard event
+ * @returns True if the target accepts text input
+ */
+function isTextInput(target){
+	if (!target || !target.tagName){
+		return false;
+	}
+	const tagName = target.tagName.toLowerCase();
+	return tagName == "input" || tagName == "textarea" || target.isContentEditable;
+}
+
+/**
+ * Stop repeating the held key, if one is being repeated.
+ */
+function stopKeyRepeat(){
+	if (keyRepeat){
+		clearTimeout(keyRepeat.timeout);
+		keyRepeat = false;
+	}
+}
+
+/**
+ * Start repeating an action while its key is held down.
+ *
+ * The browser's own key repeat runs at whatever rate the system is
+ * set to, and never speeds up, so it's ignored (see
+ * initKeyboardObserver()) and the action is repeated on a timer
+ * instead, until the key is released.
+ *
+ * Repeats are sent a stand-in event, like gamepad.js does, since
+ * there's no browser behaviour to prevent.
+ *
+ * @param {KeyboardEvent} e The key press which started it
+ * @param {String} action The action to repeat
+ * @param {Function} handler The action's handler
+ */
+function startKeyRepeat(e, action, handler){
+
+	stopKeyRepeat();
+
+	const repeat = () => {
+		keyRepeat.repeats++;
+		handler({
+			type: "repeat",
+			action: action,
+			preventDefault: () => {}
+		});
+		if (keyRepeat){
+			keyRepeat.timeout = setTimeout(repeat, getRepeatInterval(keyRepeat.repeats));
+		}
+	};
+
+	keyRepeat = {
+		key: getKeyName(e),
+		action: action,
+		repeats: 0,
+		timeout: setTimeout(repeat, getRepeatInterval(0))
+	};
+
+}
+
+/**
+ * Starts listening for key presses and runs the handler for
+ * whichever action the pressed key is bound to.
+ *
+ * The bindings are read from `settings` on every key press, so
+ * changes made on the options page apply straight away.
+ *
+ * Directions speed up the longer they're held (see startKeyRepeat()),
+ * as long as the first press was handled. Otherwise the browser's
+ * own key repeat is left alone, eg. so that it can scroll the page.
+ *
+ * The listeners are removed when the page module which added them
+ * is torn down (see router.js).
+ *
+ * @param {Object} handlers Map of logical action names to the
+ * functions which should run for them.
+ * eg. { up: previousRow, down: nextRow }
+ */
+function initKeyboardObserver(handlers){
+
+	addPageEventListener(document, "keydown", e => {
+
+		// Leave browser shortcuts (eg. Ctrl+W) alone
+		if (e.ctrlKey || e.altKey || e.metaKey){
+			return;
+		}
+
+		if (isTextInput(e.target)){
+			return;
+		}
+
+		const action = getKeyAction(e, settings.keyBindings);
+		if (action == false){
+			return;
+		}
+
+		// The key is already being repeated, or its action shouldn't
+		// repeat at all (the browser's own auto-repeat would otherwise
+		// select the same card over and over)
+		if (e.repeat && ((keyRepeat && keyRepeat.key == getKeyName(e)) || REPEATING_ACTIONS.includes(action) == false)){
+			e.preventDefault();
+			return;
+		}
+
+		const handler = handlers[action];
+		if (handler == undefined){
+			return;
+		}
+
+		stopKeyRepeat();
+		handler(e);
+
+		if (!e.repeat && e.defaultPrevented && REPEATING_ACTIONS.includes(action)){
+			startKeyRepeat(e, action, handler);
+		}
+
+	});
+
+	addPageEventListener(document, "keyup", e => {
+		if (keyRepeat && keyRepeat.key == getKeyName(e)){
+			stopKeyRepeat();
+		}
+	});
+
+	// The key might be released while the page doesn't have focus,
+	// in which case the keyup never arrives
+	addPageEventListener(window, "blur", stopKeyRepeat);
+	onPageTeardown(stopKeyRepeat);
+
+}
@@ -0,0 +1,58 @@
+/**
+ * The user's own lists: the watchlist, Crunchylists and watch history.
+ *
+ * These are all grid pages (see grid.js). On top of moving around
+ * and opening cards, the secondary (and tertiary) actions press the
+ * highlighted card's own buttons, eg. to remove it from the list.
+ * Removing has to be pressed twice, to confirm it.
+ */
+
+
+registerPageModule(createGridPageModule({
+	name: "watchlist",
+	matches: url => getRoutePath(url).startsWith("/watchlist"),
+	cards: "watchlist.card",
+	cardActions: {
+		secondary: {
+			button: "watchlist.removeButton",
+			menuItem: /remove/i,
+			confirm: "Press again to remove this series from your watchlist"
+		},
+		tertiary: {
+			button: "grid.markWatchedButton",
+			menuItem: /mark as watched/i
+		}
+	}
+}));
+
+registerPageModule(createGridPageModule({
+	name: "crunchylists",
+	matches: url => getRoutePath(url).startsWith("/crunchylists"),
+	cards: "crunchylists.card",
+	cardActions: {
+		// Only removes a series from a list. Deleting a whole list
+		// is left to the mouse, since it can't be undone.
+		secondary: {
+			button: "grid.removeButton",
+			menuItem: /remove/i,
+			confirm: "Press again to remove this series from the list"
+		}
+	}
+}));
+
+registerPageModule(createGridPageModule({
+	name: "history",
+	matches: url => getRoutePath(url).startsWith("/history"),
+	cards: "history.card",
+	cardActions: {
+		secondary: {
+			button: "grid.removeButton",
+			menuItem: /remove/i,
+			confirm: "Press again to remove this episode from your history"
+		},
+		tertiary: {
+			button: "grid.markWatchedButton",
+			menuItem: /mark as watched/i
+		}
+	}
+}));
@@ -0,0 +1,10 @@
+/**
+ * Entry point for CrunchyNav's content scripts.
+ *
+ * Every other script only defines functions and registers its page
+ * module (see router.js). This one is loaded last, and kicks
+ * everything off.
+ */
+
+initSettings();
+initRouter();
@@ -0,0 +1,342 @@
+/**
+ * Keyboard navigation for menus and dialogs opened by the site.
+ *
+ * Some buttons open a popup rather than doing something straight
+ * away. eg. The "add to Crunchylist" picker, or the share sheet.
+ *
+ * While one of these is open, every action is routed to the popup
+ * instead of the page behind it, so focus is trapped inside it until
+ * it closes:
+ * - directions move between the popup's items
+ * - select clicks the highlighted item
+ * - back closes the popup
+ */
+
+
+// Class given to the highlighted item within a popup
+const MENU_FOCUS_CLASS = 'crunchynav-menu-focus';
+
+// Attributes which can open or close a popup, without it being
+// added to or removed from the page
+const MENU_STATE_ATTRIBUTES = ["class", "style", "hidden", "open", "aria-expanded", "aria-hidden"];
+
+// The highlighted item within the open popup, if any
+var selectedMenuItem = false;
+
+// The popup which was open when last checked, or false.
+// Working that out checks the computed style of every popup and its
+// ancestors, which is too slow to do for every action (let alone
+// every repeat of a held key), so it's only checked again once the
+// page has changed.
+var openMenuCache = false;
+var openMenuCacheStale = true;
+
+// Watches the page for changes which could open or close a popup,
+// or false if it hasn't been started for this page yet
+var openMenuObserver = false;
+
+/**
+ * Checks whether an element floats above the page, which is what
+ * sets a popup apart from a regular part of the page that happens
+ * to use the same role (eg. a navigation bar marked up as a menu).
+ *
+ * The site's header is fixed to the top of the page, so everything
+ * in it would count as floating. Only the positioning within the
+ * header counts, so a dropdown opened from the header still floats,
+ * while a bar of links in the header doesn't.
+ *
+ * @param {Element} elem The element to check
+ * @returns True if the element or one of its ancestors (below the
+ * header, if it's in the header) is positioned absolutely or fixed
+ */
+function isFloating(elem){
+	const header = getHeader();
+	for (let node = elem; node && node != document.body && node != header; node = node.parentElement){
+		const position = getComputedStyle(node).position;
+		if (position == "fixed" || position == "absolute"){
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * Checks whether a popup has been closed by the button which
+ * controls it, for sites which hide popups without removing them.
+ *
+ * @param {Element} menu The popup
+ * @returns True if a button says that it has closed the popup
+ */
+function isCollapsed(menu){
+	if (menu.id == ''){
+		return false;
+	}
+	const controllers = Array.from(document.querySelectorAll('[aria-controls]')).filter(elem =>
+		elem.getAttribute("aria-controls").split(" ").includes(menu.id)
+	);
+	return controllers.some(elem => elem.getAttribute("aria-expanded") == "false");
+}
+
+/**
+ * Checks whether a change to the page could have opened or closed a
+ * popup. CrunchyNav's own highlight classes can't, and they change
+ * with every move.
+ *
+ * @param {MutationRecord} mutation The change
+ * @returns True if the open popup needs checking again
+ */
+function isMenuStateMutation(mutation){
+
+	if (mutation.type != "attributes" || mutation.attributeName != "class"){
+		return true;
+	}
+
+	const isOwnClass = name => name.startsWith("crunchynav-");
+	const before = (mutation.oldValue || "").split(" ").filter(name => name != "" && !isOwnClass(name));
+	const after = Array.from(mutation.target.classList).filter(name => !isOwnClass(name));
+	return before.length != after.length || after.some(name => !before.includes(name));
+
+}
+
+/**
+ * Start watching the page for changes which could open or close a
+ * popup, until the page module is torn down.
+ */
+function initiateOpenMenuObserver(){
+
+	openMenuObserver = trackObserver(new MutationObserver(mutations => {
+		if (mutations.some(isMenuStateMutation)){
+			openMenuCacheStale = true;
+		}
+	}));
+	openMenuObserver.observe(document.body, {
+		childList: true,
+		subtree: true,
+		attributes: true,
+		attributeOldValue: true,
+		attributeFilter: MENU_STATE_ATTRIBUTES
+	});
+
+	onPageTeardown(() => {
+		openMenuObserver = false;
+		openMenuCache = false;
+		openMenuCacheStale = true;
+	});
+
+}
+
+/**
+ * Retrieve the popup which is currently open, if any.
+ *
+ * The answer is kept until the page changes (see openMenuCache).
+ *
+ * @returns The popup element, or false if none are open
+ */
+function getOpenMenu(){
+
+	if (openMenuObserver == false){
+		initiateOpenMenuObserver();
+	}
+
+	// Changes which haven't been handed to the observer yet (eg. a
+	// popup opened by a click just now) count too
+	if (openMenuObserver.takeRecords().some(isMenuStateMutation)){
+		openMenuCacheStale = true;
+	}
+
+	if (openMenuCacheStale){
+		openMenuCache = findOpenMenu();
+		openMenuCacheStale = false;
+	}
+
+	return openMenuCache;
+
+}
+
+/**
+ * Look for the popup which is currently open, if any.
+ *
+ * If more than one is open (eg. a dropdown inside a dialog), the
+ * last one in the document is assumed to be on top.
+ *
+ * @returns The popup element, or false if none are open
+ */
+function findOpenMenu(){
+
+	const menus = collectElements("menu.popup", document, menu =>
+		isSpatiallyNavigable(menu) && isFloating(menu) && !isCollapsed(menu)
+	);
+
+	if (menus.length == 0){
+		return false;
+	}
+
+	// Sort into document order, then take the last one
+	menus.sort((a, b) =>
+		(a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1
+	);
+	return menus[menus.length - 1];
+
+}
+
+/**
+ * Retrieve the items within a popup which can be highlighted.
+ *
+ * Items nested inside other items (eg. an icon inside a button)
+ * are left out.
+ *
+ * @param {Element} menu The popup
+ * @returns Array of items
+ */
+function getMenuItems(menu){
+	const items = findElements("menu.item", menu);
+	return items.filter(item =>
+		!items.some(other => other != item && other.contains(item))
+	);
+}
+
+/**
+ * Highlight an item within the open popup.
+ *
+ * The item is also given keyboard focus, so that the site's own
+ * handlers (and screen readers) know about it.
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ * @param {Element} item The item to highlight
+ */
+function highlightMenuItem(e, item){
+
+	if (selectedMenuItem){
+		selectedMenuItem.classList.remove(MENU_FOCUS_CLASS);
+	}
+
+	selectedMenuItem = item;
+	selectedMenuItem.classList.add(MENU_FOCUS_CLASS);
+	selectedMenuItem.focus({ preventScroll: true });
+	scrollToFocus(selectedMenuItem);
+
+	e.preventDefault();
+
+}
+
+/**
+ * Move the highlight within the open popup.
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ * @param {Element} menu The open popup
+ * @param {String} direction One of up, down, left or right
+ */
+function moveMenuHighlight(e, menu, direction){
+
+	// The highlighted item might belong to a popup which has
+	// since closed
+	if (selectedMenuItem && !menu.contains(selectedMenuItem)){
+		selectedMenuItem.classList.remove(MENU_FOCUS_CLASS);
+		selectedMenuItem = false;
+	}
+
+	const item = findSpatialFocus(selectedMenuItem, direction, {
+		candidates: getMenuItems(menu)
+	});
+
+	// Even if there's nowhere to go, don't let the key through to
+	// the page behind the popup
+	e.preventDefault();
+
+	if (item){
+		highlightMenuItem(e, item);
+	}
+
+}
+
+/**
+ * Click the highlighted item within the open popup.
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ */
+function selectMenuItem(e){
+	e.preventDefault();
+	if (selectedMenuItem && document.body.contains(selectedMenuItem)){
+		selectedMenuItem.click();
+	}
+}
+
+/**
+ * Close the open popup.
+ *
+ * Uses the popup's own close button if it has one, otherwise it
+ * sends an Escape key press, which most popups listen for.
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ * @param {Element} menu The open popup
+ */
+function closeMenu(e, menu){
+
+	e.preventDefault();
+
+	if (selectedMenuItem){
+		selectedMenuItem.classList.remove(MENU_FOCUS_CLASS);
+		selectedMenuItem = false;
+	}
+
+	const closeButton = findElement("menu.closeButton", menu);
+	if (closeButton){
+		closeButton.click();
+		return;
+	}
+
+	const escape = new KeyboardEvent("keydown", {
+		key: "Escape",
+		code: "Escape",
+		bubbles: true
+	});
+	menu.dispatchEvent(escape);
+
+}
+
+/**
+ * Wrap a page's action handlers, so that actions go to the open
+ * popup (if there is one) instead of the page.
+ *
+ * Actions which the popup doesn't use (eg. secondary) are ignored
+ * while it's open.
+ *
+ * @param {Object} handlers Map of logical action names to the
+ * page's handler functions
+ * @returns Map of logical action names to wrapped handler functions
+ */
+function withMenuHandlers(handlers){
+
+	const menuHandlers = {
+		up: (e, menu) => moveMenuHighlight(e, menu, "up"),
+		down: (e, menu) => moveMenuHighlight(e, menu, "down"),
+		left: (e, menu) => moveMenuHighlight(e, menu, "left"),
+		right: (e, menu) => moveMenuHighlight(e, menu, "right"),
+		select: (e, menu) => selectMenuItem(e),
+		back: (e, menu) => closeMenu(e, menu)
+	};
+
+	const wrapped = {};
+	const actions = new Set(Object.keys(handlers).concat(Object.keys(menuHandlers)));
+
+	for (const action of actions){
+		wrapped[action] = e => {
+
+			const menu = getOpenMenu();
+			if (menu){
+				if (menuHandlers[action]){
+					menuHandlers[action](e, menu);
+				}
+				return;
+			}
+
+			if (handlers[action]){
+				handlers[action](e);
+			}
+
+		};
+	}
+
+	return wrapped;
+
+}
@@ -14,7 +14,8 @@
  * dynamically loaded onto the web page by using observers.
  * 
  * Once the content has loaded, it "cleans" the page by
- * removing everything except for the anime series categories.
+ * hiding everything except for the anime series categories
+ * and banners (see rowTypes.js).
  * 
  * It then listens for navigation events (arrow keys) and
  * highlights a category/series in response to that.
@@ -35,11 +36,43 @@
  */
 
 
-// These two variables are used to keep track of which
-// row (category) and which column (series card)
-// is currently highlighted.
-var selectedRow = -1;
-var selectedColumn = -1;
+// Remembers which card was last highlighted in each row, so that
+// moving back into a row restores its position.
+// Keyed by the row element rather than its index, because rows
+// are added and removed as the feed loads more content.
+// Each value holds the card itself and its column index, since
+// the site sometimes re-renders a row's cards.
+var rowFocusMemory = new Map();
+
+// Focus state saved the last time the homepage was left (see
+// history.js), which is waiting for its card to be loaded into the
+// feed so that it can be highlighted again.
+// False if there's nothing waiting to be restored.
+var pendingFocusRestore = false;
+
+// When to give up on restoring the saved focus state, in case its
+// card never turns up
+var focusRestoreDeadline = 0;
+
+// How long to keep trying to restore the saved focus state, in
+// milliseconds
+const FOCUS_RESTORE_TIMEOUT = 10000;
+
+// Marks rows hidden by cleanDynamicFeed() because their type isn't
+// navigable, as opposed to rows hidden for any other reason
+const FEED_TYPE_HIDDEN_ATTRIBUTE = "crunchynavTypeHidden";
+
+// How many rows the pageUp/pageDown actions jump by
+const ROW_JUMP_SIZE = 4;
+
+// How soon (in milliseconds) a second press of the "first" action
+// needs to follow the first one to jump to the top of the feed
+const DOUBLE_PRESS_WINDOW = 500;
+
+// When the "first" action was last pressed, and the card it
+// highlighted, to spot double presses. False if it hasn't been
+// pressed yet (or its double press has already been used up).
+var lastFirstCardPress = false;
 
 /**
  * Attempts to retrieve the 3 main content nodes from the web page.
@@ -52,10 +85,10 @@ var selectedColumn = -1;
  * 
  * [2] is a div containing the web page's "loading" message.
  * 
- * The results of this function are queried several times in several
- * places instead of being cached and reused.
- * This is intentional because the web page is dynamic and its layout
- * changes whenever you scroll to the end of the page.
+ * The results of this function aren't cached, because the web page
+ * is dynamic and its layout changes whenever you scroll to the end
+ * of the page. The rows and cards built from them are cached instead
+ * (see feedController.js), and thrown away whenever the feed changes.
  * 
  * @returns 3 child nodes if successful. False if unsuccessful.
  */
@@ -64,13 +97,13 @@ function getErcFeed(){
 	// Try to get the main content div.
 	// If it doesn't exist, then the page might not be fully loaded
 	// yet, or there might be some other problem displaying the page.
-	const feedElements = document.body.getElementsByClassName("erc-feed");
-	if (feedElements.length == 0){
+	const feed = findElement("home.feed");
+	if (feed == false){
 		console.error("CrunchyNav: ERC Feed not found. Aborting");
+		reportMissingElements(["home.feed"]);
 		return false;
 	}
 
-	const feed = feedElements[0];
 	const children = feed.children;
 
 	// Expected to have exactly 3 children.
@@ -78,6 +111,7 @@ function getErcFeed(){
 	// assume this extension is no longer compatible and abort.
 	if (children.length != 3){
 		console.error("CrunchyNav: Website format has changed. Aborting");
+		reportMissingElements(["home.dynamicFeed"]);
 		return false;
 	}
 
@@ -88,9 +122,10 @@ function getErcFeed(){
 	// Let's do a basic check to confirm the name of the div.
 	// If it's changed, then we might be looking at the wrong div,
 	// or the page layout might have changed.
-	const isDynamicFeed = secondChild.className.includes('dynamic-feed-wrapper');
+	const isDynamicFeed = matchesElement("home.dynamicFeed", secondChild);
 	if (!isDynamicFeed){
 		console.error("CrunchyNav: Failed to find series feed. Aborting");
+		reportMissingElements(["home.dynamicFeed"]);
 		return false;
 	}
 
@@ -105,11 +140,14 @@ function getErcFeed(){
  * which we're not interested in, or which we can't currently
  * parse or traverse.
  * 
- * This is used to hide anything apart from the actual anime
- * series we want to navigate through.
+ * Each row (category) is classified by type (see rowTypes.js),
+ * and any row whose type isn't navigable is hidden.
+ * 
+ * eg. It hides video game banners and news feeds, leaving behind
+ * the series' cards and banners.
  * 
- * eg. It hides video game banners, recommendations, and news feeds,
- * leaving behind only the series' cards.
+ * Only the given rows are classified again, if any are given (eg.
+ * rows whose content has just loaded). Otherwise every row is.
  * 
  * This function hides the offending divs instead of removing them.
  * This is because the crunchyroll web page throws some errors if
@@ -117,8 +155,10 @@ function getErcFeed(){
  * They aren't critical errors, but they do slow the web page down,
  * especially when new content is being loaded. So it's better to
  * hide the divs instead of removing them altogether.
+ * 
+ * @param {Element[]} changedRows The rows to clean (optional)
  */
-function cleanDynamicFeed(){
+function cleanDynamicFeed(changedRows){
 
 	const children = getErcFeed();
 
@@ -126,51 +166,50 @@ function cleanDynamicFeed(){
 	const dynamicFeed = children[1];
 
 	// The dynamic feed should have several children, each one representing
-	// a different category or genre.
-	var dynamicFeedChildren = dynamicFeed.children;
-
-	// Traverse the list by index, since node lists aren't actually arrays
-	// and don't have the usual array functions.
-	for (let i = 0; i < dynamicFeedChildren.length - 1; i++) {
-
-		// Get the current category and its children
-		const category = dynamicFeedChildren[i];
-		const categoryChildren = category.children;
-
-		// If it has no children (series cards), hide it
-		if (categoryChildren.length != 1){
+	// a different category or genre. The last one is the loading message.
+	const allRows = Array.from(dynamicFeed.children).slice(0, -1);
+	const rows = changedRows || allRows;
+
+	for (const category of rows) {
+
+		// Classify the row again each time, since its content may
+		// have loaded since the last time it was checked. Rows hidden
+		// here are marked, so that they can be shown again once they
+		// turn out to be navigable after all (eg. an empty row whose
+		// cards have now rendered).
+		const rowType = classifyRow(category);
+		if (!ROW_TYPES[rowType].navigable){
+			category.dataset[FEED_TYPE_HIDDEN_ATTRIBUTE] = "true";
 			category.style.display = 'none';
-			continue;
+		}else if (category.dataset[FEED_TYPE_HIDDEN_ATTRIBUTE]){
+			delete category.dataset[FEED_TYPE_HIDDEN_ATTRIBUTE];
+			category.style.display = '';
 		}
 
-		const categoryContent = categoryChildren[0];
-		const categoryContentChildren = categoryContent.children;
+	}
 
-		// If the child is a news item, hide it
-		if (categoryContent.className.includes('news-and-editorial')){
-			category.style.display = 'none';
-			continue;
-		}
+	// Then apply the user's own rules (see feedRules.js)
+	applyFeedRules(rows);
 
-		// If the category has != 2 children, hide it.
-		// This is because a category should have 2 divs:
-		// 1. the title of the category
-		// 2. the series cards
-		// In the future this should be changed to allow for
-		// banner-style series highlights as well.
-		if (categoryContentChildren.length != 2){
-			category.style.display = 'none';
-			continue;
-		}
+	// Pinned rows are moved up with the CSS order property, which
+	// only works once the feed is laid out as a flexbox
+	if (allRows.some(row => row.style.order != '')){
+		dynamicFeed.dataset.crunchynavPinned = "true";
+	}else{
+		delete dynamicFeed.dataset.crunchynavPinned;
 	}
 
+	// Rows may have been hidden, shown or reordered
+	feedController.invalidate();
+
 }
 
 /**
  * Retrieves the content of the dynamic series feed div.
  *
  * It only returns visible results. ie. Those not hidden by
- * the cleanDynamicFeed() function.
+ * the cleanDynamicFeed() function, or by the user's rules.
+ * They're returned in the order they're shown in.
  *
  * @returns All visible divs inside of the dynamic feed section
  */
@@ -200,40 +239,79 @@ function getDynamicFeed(){
 		}
 	}
 
+	// Pinned rows are shown first (see feedRules.js), so put them
+	// first here too. The sort is stable, so everything else stays
+	// in the same order.
+	returnData.sort((a, b) => Number(a.style.order || 0) - Number(b.style.order || 0));
+
 	// Return all of the non-hidden items
 	return returnData;
 
 }
 
 /**
- * Hides the "hero" banner at the top of the web page.
+ * Shows or hides the "hero" banner at the top of the web page,
+ * depending on the `heroBanner` setting.
  * 
  * It's a rotating carousel of series which takes up a lot of space,
- * so hiding it makes the page easier to navigate.
- * 
- * It could be added back in the future, or modified into a new category
- * or something instead of being removed.
+ * so some users prefer to hide it to make the page easier to navigate.
  * 
- * But for now, this function hides it altogether, just to keep
- * things simple.
+ * When it's shown, it becomes the first row (see hero.js).
  */
-function hideHeroBanner(){
+function updateHeroBanner(){
 
 	const children = getErcFeed();
+	if (children == false){
+		return;
+	}
 
 	// The first child is expected to be the "hero" banner, which
 	// rotates and shows a bunch of different shows.
 	const heroBanner = children[0];
 
-	// If the hero banner matches our expectations (first div, no class name),
-	// then let's hide it for the sake of freeing up screen space and simplifying
-	// navigation.
-	// This could be added back in later.
-	const canRemoveHeroBanner = heroBanner.className == '';
-	if (canRemoveHeroBanner){
+	// Only touch the hero banner if it matches our expectations
+	// (first div, no class name).
+	// Otherwise we might be hiding something else entirely.
+	const isHeroBanner = heroBanner.className == '';
+	if (!isHeroBanner){
+		return;
+	}
+
+	if (settings.heroBanner == "hide"){
+
+		// If the banner was highlighted, drop the highlight so that
+		// the next key press starts from the first visible row.
+		if (feedController.selectedCard == heroBanner){
+			feedController.select(false);
+		}
+
 		heroBanner.style.display = 'none';
+
+	}else{
+		heroBanner.style.display = '';
 	}
 
+	feedController.invalidate();
+
+}
+
+/**
+ * Find the row (category) of the dynamic feed which contains the
+ * given node.
+ *
+ * @param {Element} dynamicFeed The dynamic feed
+ * @param {Node} node The node
+ * @returns The row, or false if the node isn't in one (eg. it's in
+ * the loading message at the end of the feed)
+ */
+function getFeedRowContaining(dynamicFeed, node){
+	while (node && node.parentNode != dynamicFeed){
+		node = node.parentNode;
+	}
+	if (node == null || node == dynamicFeed.lastElementChild){
+		return false;
+	}
+	return node;
 }
 
 /**
@@ -244,102 +322,127 @@ function hideHeroBanner(){
  * 
  * In order to cater for this, we add an observer, so we can
  * modify the page whenever new content is added to it.
+ * 
+ * Rows also fill in their own content after they've been added
+ * (eg. a carousel's cards render after its heading), which can change
+ * their type, so changes within the rows are watched as well.
  */
 function initiateFeedObserver(){
 
 	const children = getErcFeed();
 	const dynamicFeed = children[1];
 
-	// Only observe the child list.
-	// We don't need deep or complex observing behavior.
+	// Only observe the child lists. Attributes aren't watched, since
+	// cleanDynamicFeed() and the highlight change them all the time.
 	const feedObserverConfig = {
 		childList: true,
-		subtree: false,
+		subtree: true,
 		characterData: false
 	};
 
-	const feedObserver = new MutationObserver(mutations => {
+	const feedObserver = trackObserver(new MutationObserver(mutations => {
+
+		// Forget the position of any rows which have been removed
+		const rowMutations = mutations.filter(mutation => mutation.target == dynamicFeed);
+		rowMutations.forEach(mutation => {
+			mutation.removedNodes.forEach(node => forgetRow(node));
+		});
 	  
-		const nodesAdded = mutations.some(mutation => mutation.addedNodes.length > 0);
-		if (nodesAdded){
+		const additions = mutations.filter(mutation => mutation.addedNodes.length > 0);
+		if (additions.length == 0){
+			return;
+		}
 
-			// Whenever new nodes are added, clean the web page again
-			// to make the new categories easier to navigate.
+		// Whenever new categories are added, clean the whole feed
+		// again to make them easier to navigate. Content loading
+		// within rows (which happens far more often) only needs those
+		// rows cleaning again.
+		if (additions.some(mutation => mutation.target == dynamicFeed)){
 			cleanDynamicFeed();
-
+		}else{
+			const changedRows = new Set();
+			for (const mutation of additions){
+				const row = getFeedRowContaining(dynamicFeed, mutation.target);
+				if (row){
+					changedRows.add(row);
+				}
+			}
+			if (changedRows.size == 0){
+				return;
+			}
+			cleanDynamicFeed(Array.from(changedRows));
 		}
 
-	});
+		// The previously highlighted card may have just loaded
+		restoreFocusState();
+
+		// Finish moving down, if that was waiting for more rows
+		// (see feedLoader.js)
+		onFeedChanged();
+
+	}));
 
 	feedObserver.observe(dynamicFeed, feedObserverConfig);
 
 }
 
 /**
- * Highlights the series card at row `newRow` and column `newColumn`.
+ * Draw the highlight on a newly highlighted card, and scroll the
+ * web page so that the card is visible (see focusRing.js).
  * 
- * This function also removes highlighting from whichever card was
- * previously highlighted (where applicable) and overrides the
- * keypress behavior (if navigation was successful).
+ * The header is always on screen, so there's no need to scroll to it.
  * 
- * @param {KeyboardEvent} e Keyboard event which triggered this function
- * @param {Number} newRow The row index of the card to highlight
- * @param {Number} newColumn The column index of the card to highlight
- */
-function highlightCard(e, newRow, newColumn){
-
-	// Start by retrieving the currently highlighted card.
-	// If one IS highlighted, remove its styling.
-	const oldCard = getColumn(selectedRow, selectedColumn);
-	if (oldCard){
-		oldCard.style.border = '';
-	}
-
-	// Then get the new card which we now want to highlight instead.
-	const newCard = getColumn(newRow, newColumn);
-	if (newCard){
-
-		// Give the card a white botder and scroll the web page
-		// so that the card is visible.
-		newCard.style.border = '1px solid white';
-		newCard.scrollIntoView();
-
-		// Set the selected row and column to either be
-		// the new value passed into this function, OR
-		// to be 0.
-		// This is because the default values are -1.
-		if (newRow < 0)
-			selectedRow = 0;
-		else
-			selectedRow = newRow;
-		
-		if (newColumn < 0)
-			selectedColumn = 0;
-		else
-			selectedColumn = newColumn;
-
-		// Finally, prevent the keypress behavior from being handled
-		// by the web page, since we already did something (highlighted
-		// a card) in response to the event.
-		// Note that if we DIDN'T highlight a card, then we don't want to
-		// consume the event.
-		// eg. If the user is already on the first category, and they press
-		// the up arrow, then we want the page to scroll up, since there's no
-		// previous category we can navigate to anyway.
-		e.preventDefault();
+ * @param {Element|false} newCard The highlighted card, if any
+ * @param {Element|false} oldCard The previously highlighted card, if any
+ */
+function drawFeedHighlight(newCard, oldCard){
+	drawCardHighlight(oldCard, newCard);
+	if (newCard && !isHeaderItem(newCard)){
+		scrollToFocus(newCard, feedController.getRowOf(newCard) || newCard);
 	}
+}
+
+/**
+ * Highlights the given series card.
+ * 
+ * Everything which follows the highlight around (drawing it,
+ * scrolling, the details panel, etc.) listens for focus changes
+ * (see feedController.js and initHomePage()).
+ * This function also overrides the keypress behavior.
+ * 
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ * @param {Element} newCard The card to highlight
+ */
+function highlightCard(e, newCard){
+
+	feedController.select(newCard);
+
+	// Finally, prevent the keypress behavior from being handled
+	// by the web page, since we already did something (highlighted
+	// a card) in response to the event.
+	// Note that if we DIDN'T highlight a card, then we don't want to
+	// consume the event.
+	// eg. If the user is already on the first category, and they press
+	// the up arrow, then we want the page to scroll up, since there's no
+	// previous category we can navigate to anyway.
+	e.preventDefault();
 
 }
 
 /**
  * Retrieve all rows (categories) currently visible on the web page.
  * 
+ * The hero banner (if shown) is treated as the first row.
+ * 
+ * The rows come from the feed model (see feedController.js), so the
+ * array mustn't be modified.
+ * 
  * @returns All rows (categories) on the web page, or false if
  * none are visible.
  */
 function getRows(){
 
-	const rows = getDynamicFeed();
+	const rows = feedController.getModel().rows;
 
 	if (rows.length == 0){
 		return false;
@@ -350,152 +453,410 @@ function getRows(){
 }
 
 /**
- * Retrieve a single row (category) from the web page at the
- * given index.
+ * Retrieve all of the columns (series cards) for the given
+ * row (category).
  * 
- * @param {Number} rowIndex The index of the row (category) we want
- * to grab.
- * @returns The row at `rowIndex`, OR the row at [0] if the index
- * hasn't been set yet, OR false if the row index is otherwise invalid.
+ * @param {Element} row The row (category) for which to grab the
+ * columns (series cards).
+ * @returns Columns for the requested row, or false.
  */
-function getRow(rowIndex){
+function getColumns(row){
 
-	const rows = getRows();
+	// The cards depend on the type of row (see rowTypes.js), and
+	// come from the feed model (see feedController.js).
+	// eg. A carousel has several series cards, while a banner
+	// highlighting a single series is one big card. The hero banner
+	// is a single card by itself.
+	const cards = feedController.getModel().cards.get(row) || [];
 
-	// If there are no rows, or the requested row is too high,
-	// return false.
-	if (rows == false || rowIndex > rows.length - 1){
+	// If there aren't any columns in the given row, return false
+	if (cards.length == 0){
 		return false;
 	}
 	
-	// If the row is -1 (unset), return the first row instead.
-	if (rowIndex == -1){
-		return rows[0];
+	// Otherwise, return the retrieved columns
+	return cards;
+
+}
+
+/**
+ * Retrieve the currently highlighted column (series card).
+ * 
+ * The feed is dynamic, so the card might have been removed
+ * from the page (or hidden) since it was highlighted.
+ * 
+ * @returns The highlighted card, or false if there isn't one
+ */
+function getSelectedCard(){
+
+	const selectedCard = feedController.selectedCard;
+
+	if (selectedCard && !document.body.contains(selectedCard)){
+		feedController.select(false);
 	}
 
-	// Otherwise, return the requested row.
-	return rows[rowIndex];
+	// The card (or its row) might have been hidden by the user's
+	// rules since
+	if (selectedCard && selectedCard.closest('[data-crunchynav-rule-hidden]')){
+		feedController.select(false);
+	}
+
+	return feedController.selectedCard;
 
 }
 
 /**
- * Retrieve all of the columns (series cards) for the given
- * row (category).
+ * Record the position of the given card within its row, so
+ * that it can be restored when the user moves back into that row.
  * 
- * @param {Number} rowIndex Index of the row (category) for which to
- * grab the columns (series cards).
- * @returns Columns for the requested row, or false.
+ * @param {Element|false} card The card which was highlighted, if any
+ */
+function rememberRowPosition(card){
+
+	const row = card && feedController.getRowOf(card);
+	if (!row){
+		return;
+	}
+
+	const columns = Array.from(getColumns(row) || []);
+	rowFocusMemory.set(row, {
+		card: card,
+		column: Math.max(columns.indexOf(card), 0)
+	});
+
+}
+
+/**
+ * Forget the remembered position of a row which has been removed
+ * from the feed.
+ * 
+ * @param {Node} row The row which was removed
  */
-function getColumns(rowIndex){
+function forgetRow(row){
+	rowFocusMemory.delete(row);
+}
 
-	const row = getRow(rowIndex);
+/**
+ * Retrieve the card which was last highlighted in the given row.
+ * 
+ * If that exact card is gone (eg. the row was re-rendered), the
+ * card at the same column index is used instead.
+ * 
+ * @param {Element} row The row (category)
+ * @param {Element[]} cards The visible cards in that row
+ * @returns The remembered card, or false if the row has never
+ * been visited
+ */
+function getRememberedCard(row, cards){
 
-	// If the row doesn't exist, return false
-	if (row == false){
+	const memory = rowFocusMemory.get(row);
+	if (!memory){
 		return false;
 	}
 
-	const cards = row.querySelectorAll('[data-t="carousel-card-wrapper"]');
+	if (cards.includes(memory.card)){
+		return memory.card;
+	}
 
-	// If there aren't any columns in the given row, return false
-	if (cards.length == 0){
-		return false;
+	return cards[Math.min(memory.column, cards.length - 1)];
+
+}
+
+/**
+ * Retrieve the link of a series card, which identifies the series.
+ * 
+ * @param {Element} card The card
+ * @returns The link's URL, or an empty string if it has none
+ */
+function getCardLink(card){
+
+	if (card.tagName == 'A'){
+		return card.href;
 	}
-	
-	// Otherwise, return the retrieved columns
-	return cards;
+
+	const anchor = card.querySelector('a[href]');
+	if (anchor == null){
+		return '';
+	}
+	return anchor.href;
 
 }
 
 /**
- * Retrieve a single column (series card) by the row (category)
- * and column index.
+ * Save which card is highlighted, so that it can be highlighted
+ * again after going to a series page and coming back.
+ * 
+ * Rows and cards are identified by their title and link, since the
+ * feed might be loaded in a different order next time. Their indexes
+ * are saved as well, to fall back on.
  * 
- * @param {Number} rowIndex Index of the row (category) from which to
- * retrieve a column (series card).
- * @param {Number} columnIndex Index of the column (series card) to
- * retrieve.
- * @returns The requested column, OR column [0] if the index isn't set,
- * OR false if it is otherwise invalid.
+ * @param {Element|false} card The highlighted card, if any
  */
-function getColumn(rowIndex, columnIndex){
+function saveHomeFocusState(card){
+
+	const rows = getRows();
+	if (rows == false || card == false){
+		return;
+	}
+
+	const rowIndex = rows.indexOf(feedController.getRowOf(card));
+	if (rowIndex == -1){
+		return;
+	}
+
+	const row = rows[rowIndex];
+	const columns = Array.from(getColumns(row) || []);
+
+	saveFocusState({
+		row: isHeroRow(row) ? 'hero' : getRowTitle(row),
+		rowIndex: rowIndex,
+		card: getCardLink(card),
+		column: Math.max(columns.indexOf(card), 0)
+	});
+
+}
 
-	const columns = getColumns(rowIndex);
+/**
+ * Find the card described by a saved focus state.
+ * 
+ * The row is looked up by title, and the card by its link.
+ * If the row can't be found, any card with the same link will do,
+ * since the same series can appear in more than one row.
+ * 
+ * @param {Object} state The saved focus state
+ * @returns The card, or false if it hasn't been loaded (yet)
+ */
+function findFocusStateCard(state){
 
-	// If the columns (series cards) can't be retrieved, or the index
-	// is too high, return false.
-	if (columns == false || columnIndex > columns.length - 1){
+	const rows = getRows();
+	if (rows == false){
 		return false;
 	}
 
-	// If the column index is -1 (unset), return the first result.
-	if (columnIndex == -1){
-		return columns[0];
+	const row = rows.find(row =>
+		(state.row == 'hero') ? isHeroRow(row) : getRowTitle(row) == state.row
+	);
+
+	if (row){
+		const columns = Array.from(getColumns(row) || []);
+		if (columns.length == 0){
+			return false;
+		}
+		const card = columns.find(column => getCardLink(column) == state.card);
+		return card || columns[Math.min(state.column, columns.length - 1)];
+	}
+
+	for (const otherRow of rows){
+		const columns = Array.from(getColumns(otherRow) || []);
+		const card = columns.find(column => getCardLink(column) == state.card);
+		if (card){
+			return card;
+		}
 	}
 
-	// Otherwise, return the result
-	return columns[columnIndex];
+	return false;
 
 }
 
 /**
- * Move up to the previous row (category) on the web page.
+ * Highlight the card which was highlighted when the homepage was
+ * last left, if there's one waiting to be restored.
+ * 
+ * This is called whenever the feed changes, since the card might
+ * not have been loaded yet. If it still hasn't turned up once the
+ * timeout passes, it's given up on.
+ */
+function restoreFocusState(){
+
+	if (pendingFocusRestore == false){
+		return;
+	}
+
+	if (performance.now() > focusRestoreDeadline){
+		pendingFocusRestore = false;
+		return;
+	}
+
+	const card = findFocusStateCard(pendingFocusRestore);
+	if (card == false){
+		return;
+	}
+
+	pendingFocusRestore = false;
+	highlightCard({ preventDefault: () => {} }, card);
+
+}
+
+/**
+ * Decides which card to highlight when moving into a new row.
+ * 
+ * This depends on the `rowEntryMode` setting:
+ * - remember: the card which was last highlighted in that row,
+ * or the first card if the row hasn't been visited yet
+ * - nearest: the card most closely aligned with the current one
+ * - first: always the first card
+ * 
+ * @param {Element} row The row (category) being entered
+ * @param {Element[]} cards The visible cards in that row
+ * @param {Element|false} current The previously highlighted card
+ * @param {String} direction The direction being moved in
+ * @returns The card to highlight
+ */
+function enterRow(row, cards, current, direction){
+
+	if (settings.rowEntryMode == "nearest"){
+		return enterNearestInContainer(row, cards, current, direction);
+	}
+
+	if (settings.rowEntryMode == "remember"){
+		const remembered = getRememberedCard(row, cards);
+		if (remembered){
+			return remembered;
+		}
+	}
+
+	return cards[0];
+
+}
+
+/**
+ * Move the highlight one step in the given direction.
+ * 
+ * The card to move to is picked by the spatial navigation
+ * engine (see spatialNav.js), based on where the cards are
+ * drawn on the screen rather than their position in the DOM.
+ * Each row (category) is a focus container, so left/right stays
+ * within a row and up/down moves between rows.
+ * 
+ * If nothing is highlighted yet, the first card of the first row
+ * is highlighted, whichever direction was pressed.
  * 
  * @param {KeyboardEvent} e Keyboard event which triggered this function
+ * @param {String} direction One of up, down, left or right
  */
-function previousRow(e){
+function moveHighlight(e, direction){
+
+	// The user has moved on, so don't jump back to the card which
+	// was highlighted last time once it loads
+	pendingFocusRestore = false;
 
-	// If we're already on the first row (category), abort.
-	// Let the web page handle the keyboard event by scrolling up,
-	// if applicable.
-	if (selectedRow == 0){
+	// Left/right on the hero banner pages through its slides
+	// instead of moving the highlight
+	const currentCard = getSelectedCard();
+	if (isHeroRow(currentCard) && (direction == "left" || direction == "right")){
+		pageHeroCarousel(e, direction);
 		return;
 	}
 
-	// If the current row is -1 (unset), default to 0.
-	// Otherwise, subtract 1 to go to the previous row.
-	let newRow;
-	if (selectedRow == -1){
-		newRow = 0;
-	}else{
-		newRow = selectedRow - 1;
+	// The header is a separate zone (see header.js)
+	if (isHeaderItem(currentCard)){
+		moveWithinHeader(e, currentCard, direction);
+		return;
+	}
+
+	const rows = getRows();
+	if (rows == false){
+		return;
+	}
+
+	const newCard = findSpatialFocus(getSelectedCard(), direction, {
+		containers: rows,
+		getCandidates: getColumns,
+		enterContainer: enterRow
+	});
+
+	// Moving down from the last loaded row loads more rows, then
+	// tries again once they've been added (see feedLoader.js)
+	if (newCard == false && direction == "down" && isOnLastRow(currentCard, rows)){
+		e.preventDefault();
+		requestMoreFeedRows(() => nextRow({ preventDefault: () => {} }));
+		return;
+	}
+
+	// Moving up from the first row enters the header
+	if (newCard == false && direction == "up"){
+		const headerItem = findHeaderItem(currentCard, direction);
+		if (headerItem){
+			highlightCard(e, headerItem);
+		}
+		return;
 	}
 
-	// Try to retrieve the given row. Abort if that fails
-	const row = getRow(newRow);
-	if (row == false){
+	// If there's nothing in that direction, let the web page handle
+	// the keyboard event instead (eg. by scrolling).
+	if (newCard == false){
 		return;
 	}
 
-	// Highlight the first card in the row
-	highlightCard(e, newRow, 0);
+	highlightCard(e, newCard);
 
 }
 
 /**
- * Move down to the next row (category) on the web page.
+ * Move the highlight while it's in the header.
+ * 
+ * Left/right move between the header's items, and down goes back
+ * to the first row. There's nothing above the header, so up does
+ * nothing.
  * 
  * @param {KeyboardEvent} e Keyboard event which triggered this function
+ * @param {Element} current The highlighted header item
+ * @param {String} direction One of up, down, left or right
  */
-function nextRow(e){
+function moveWithinHeader(e, current, direction){
+
+	if (direction == "up"){
+		e.preventDefault();
+		return;
+	}
 
-	// Increase the row by 1 to go to the next row.
-	// -1 (unset) changes to 0 anyway when incremented,
-	// so we don't need to handle that, unlike when going
-	// to the previous row.
-	// Going out of bounds (> max row length) is handled
-	// in getRow, so we don't need to handle that either.
-	const newRow = selectedRow + 1;
-
-	// Try to retrieve the given row. Abort if that fails
-	const row = getRow(newRow);
-	if (row == false){
+	if (direction == "down"){
+		const rows = getRows();
+		if (rows == false){
+			return;
+		}
+		const cards = Array.from(getColumns(rows[0]) || []);
+		if (cards.length > 0){
+			highlightCard(e, enterRow(rows[0], cards, current, direction));
+		}
 		return;
 	}
 
-	// Highlight the first card in the row
-	highlightCard(e, newRow, 0);
+	const item = findHeaderItem(current, direction);
+	e.preventDefault();
+	if (item){
+		highlightCard(e, item);
+	}
+
+}
+
+/**
+ * Checks whether the given card is in the last row which has loaded.
+ * 
+ * @param {Element} card The card to check
+ * @param {Element[]} rows The rows, as per getRows()
+ * @returns True if `card` is in the last row
+ */
+function isOnLastRow(card, rows){
+	return card != false && feedController.getRowOf(card) == rows[rows.length - 1];
+}
+
+/**
+ * Move up to the previous row (category) on the web page.
+ * 
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ */
+function previousRow(e){
+	moveHighlight(e, "up");
+}
 
+/**
+ * Move down to the next row (category) on the web page.
+ * 
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ */
+function nextRow(e){
+	moveHighlight(e, "down");
 }
 
 /**
@@ -504,82 +865,192 @@ function nextRow(e){
  * @param {KeyboardEvent} e Keyboard event which triggered this function
  */
 function previousColumn(e){
+	moveHighlight(e, "left");
+}
+
+/**
+ * Move right to the next column (series card) on the web page.
+ * 
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ */
+function nextColumn(e){
+	moveHighlight(e, "right");
+}
+
+/**
+ * Jump several rows up or down at once.
+ * 
+ * The card to highlight in the new row is picked the same way as
+ * when moving into it one row at a time (see enterRow()). Rows which
+ * haven't got any cards yet (eg. still loading) are skipped.
+ * 
+ * Once there are no more rows in that direction, this moves a single
+ * step instead, so that it still enters the header from the first
+ * row and loads more rows from the last one (see moveHighlight()).
+ * 
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ * @param {Number} offset How many rows to jump by. Negative jumps up.
+ */
+function jumpRows(e, offset){
+
+	pendingFocusRestore = false;
+
+	const direction = (offset < 0) ? "up" : "down";
+
+	const rows = getRows();
+	if (rows == false){
+		return;
+	}
 
-	// If we have already selected the first column, don't do anything.
-	// Let the web page handle the left arrow key event by scrolling
-	// instead, if applicable.
-	if (selectedColumn == 0){
+	// Outside of the feed (ie. nothing is highlighted yet, or the
+	// header is), one step is as far as there is to go
+	const current = getSelectedCard();
+	const currentIndex = current ? rows.indexOf(feedController.getRowOf(current)) : -1;
+	if (currentIndex == -1){
+		moveHighlight(e, direction);
 		return;
 	}
 
-	// If the current column is -1 (unset), default to 0.
-	// Otherwise, subtract 1 to go to the previous column.
-	let newColumn;
-	if (selectedColumn == -1){
-		newColumn = 0;
-	}else {
-		newColumn = selectedColumn - 1;
+	let index = Math.min(Math.max(currentIndex + offset, 0), rows.length - 1);
+	while (index != currentIndex && getColumns(rows[index]) == false){
+		index += (offset < 0) ? 1 : -1;
 	}
 
-	// Try to retrieve the given column. Abort if that fails
-	const column = getColumn(selectedRow, newColumn);
-	if (column == false){
+	if (index == currentIndex){
+		moveHighlight(e, direction);
 		return;
 	}
 
-	// Highlight the card
-	highlightCard(e, selectedRow, newColumn);
+	const cards = Array.from(getColumns(rows[index]));
+	highlightCard(e, enterRow(rows[index], cards, current, direction));
 
 }
 
 /**
- * Move right to the next column (series card) on the web page.
+ * Jump up several rows.
  * 
  * @param {KeyboardEvent} e Keyboard event which triggered this function
  */
-function nextColumn(e){
+function previousPage(e){
+	jumpRows(e, -ROW_JUMP_SIZE);
+}
+
+/**
+ * Jump down several rows.
+ * 
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ */
+function nextPage(e){
+	jumpRows(e, ROW_JUMP_SIZE);
+}
+
+/**
+ * Highlight the first or last card in the highlighted row (or the
+ * first or last header item, while the header is highlighted).
+ * 
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ * @param {Boolean} last True for the last card, false for the first
+ */
+function highlightRowEnd(e, last){
+
+	pendingFocusRestore = false;
 
-	// Increase the column by 1 to go to the next column.
-	// -1 (unset) changes to 0 anyway when incremented,
-	// so we don't need to handle that, unlike when going
-	// to the previous column.
-	// Going out of bounds (> max column length) is handled
-	// in getColumn, so we don't need to handle that either.
-	const newColumn = selectedColumn + 1;
-
-	// Try to retrieve the given column. Abort if that fails
-	const column = getColumn(selectedRow, newColumn);
-	if (column == false){
+	const current = getSelectedCard();
+	if (current == false){
 		return;
 	}
 
-	// Highlight the card
-	highlightCard(e, selectedRow, newColumn);
+	const cards = isHeaderItem(current) ?
+		getHeaderItems() :
+		Array.from(getColumns(feedController.getRowOf(current)) || []);
+
+	if (cards.length > 0){
+		highlightCard(e, last ? cards[cards.length - 1] : cards[0]);
+	}
 
 }
 
 /**
- * Add a DOM event listener to trigger events on keypress.
+ * Highlight the first card in the highlighted row, or the first card
+ * of the whole feed if pressed twice in quick succession.
  * 
- * This function is responsible for performing actions based
- * on which key the user presses.
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
  */
-function initiateKeypressObserver(){
+function firstColumn(e){
+
+	// It only counts as a double press if the highlight hasn't moved
+	// in between. A third press starts counting again, rather than
+	// counting as another double press.
+	const now = performance.now();
+	const doublePress = lastFirstCardPress != false &&
+		now - lastFirstCardPress.time < DOUBLE_PRESS_WINDOW &&
+		getSelectedCard() == lastFirstCardPress.card;
+
+	if (doublePress == false){
+		highlightRowEnd(e, false);
+		lastFirstCardPress = { time: now, card: getSelectedCard() };
+		return;
+	}
 
-	document.addEventListener("keydown", e => {
-		if (e.code == "ArrowLeft"){
-			previousColumn(e);
-		}else if (e.code == "ArrowRight"){
-			nextColumn(e);
-		}else if (e.code == "ArrowUp"){
-			previousRow(e);
-		}else if (e.code == "ArrowDown"){
-			nextRow(e);
-		}else if (e.code == "Enter"){
-			selectSeries(e);
-		}
-	});
+	lastFirstCardPress = false;
+
+	pendingFocusRestore = false;
+
+	const rows = getRows();
+	if (rows == false){
+		return;
+	}
+
+	const cards = Array.from(getColumns(rows[0]) || []);
+	if (cards.length > 0){
+		highlightCard(e, cards[0]);
+	}
+
+}
+
+/**
+ * Highlight the last card in the highlighted row.
+ * 
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ */
+function lastColumn(e){
+	highlightRowEnd(e, true);
+}
 
+/**
+ * Retrieve the functions which should run for each logical action.
+ *
+ * Both the keyboard and the gamepad trigger these same actions.
+ * Which key or button triggers which action is decided by
+ * keyboard.js and gamepad.js respectively.
+ *
+ * The previous/next actions (shoulder buttons by default) jump
+ * between rows, and pageUp/pageDown (the triggers) jump several
+ * rows at once. first/last go to either end of the row.
+ *
+ * The quickJump action opens a list of every row (see quickJump.js).
+ *
+ * While a dropdown opened from the header (or the quick jump list)
+ * is open, the actions go to that instead (see menus.js).
+ *
+ * @returns Map of action names to handler functions
+ */
+function getHomeActionHandlers(){
+	return withMenuHandlers({
+		up: previousRow,
+		down: nextRow,
+		left: previousColumn,
+		right: nextColumn,
+		select: selectSeries,
+		secondary: secondaryAction,
+		previous: previousRow,
+		next: nextRow,
+		pageUp: previousPage,
+		pageDown: nextPage,
+		first: firstColumn,
+		last: lastColumn,
+		quickJump: openQuickJump
+	});
 }
 
 /**
@@ -593,19 +1064,42 @@ function initiateKeypressObserver(){
 function selectSeries(e){
 
 	// Grab the highlighted series card
-	const series = getColumn(selectedRow, selectedColumn);
+	const series = getSelectedCard();
+
+	// Header items are clicked as they are, which either goes to
+	// another page or opens a dropdown (see menus.js)
+	if (isHeaderItem(series)){
+		e.preventDefault();
+		series.click();
+		return;
+	}
+
+	// The hero banner holds several series, so open whichever one
+	// is currently showing
+	if (isHeroRow(series)){
+		openHeroSeries(e);
+		return;
+	}
 
 	if (series){
 
+		// Banners with several series use the links themselves
+		// as cards
+		if (series.tagName == 'A'){
+			series.click();
+			return;
+		}
+
 		// Grab any anchor links within that card
 		const anchors = series.getElementsByTagName('a');
 		if (anchors.length > 0){
 
 			// The first anchor link should be the series link.
 			// eg. https://www.crunchyroll.com/series/[seriesName]
-			// Navigate to that page
+			// Click it, so that the site navigates to that page
+			// itself, without a full page load (see router.js).
 			const anchor = anchors[0];
-			location.href = anchor.href;
+			anchor.click();
 			return;
 
 		}
@@ -614,6 +1108,21 @@ function selectSeries(e){
 
 }
 
+/**
+ * Performs the secondary action for the highlighted card, if
+ * it has one.
+ * 
+ * Currently only the hero banner has a secondary action, which
+ * adds its featured series to the watchlist.
+ */
+function secondaryAction(e){
+
+	if (isHeroRow(getSelectedCard())){
+		addHeroSeriesToWatchlist(e);
+	}
+
+}
+
 /**
  * Initializes CrunchyNav by performing all of the expected
  * initial events in order.
@@ -621,7 +1130,7 @@ function selectSeries(e){
  * This function should be called once the web page has
  * fully loaded.
  */
-function init() {
+function initHomePage() {
 
 	console.log("Init");
 
@@ -651,17 +1160,73 @@ function init() {
 	// just in case the feed loaded before the observer.
 	cleanDynamicFeed();
 
-	// Hide the banner
-	hideHeroBanner();
-
-	// Initialize the dynamic feed observer and the keypress observer
+	// Show or hide the banner, and keep doing so whenever the
+	// setting changes
+	updateHeroBanner();
+	onPageTeardown(onSettingsChanged(updateHeroBanner));
+
+	// Likewise for the details panel (see details.js), and the
+	// user's feed rules (see feedRules.js)
+	onPageTeardown(onSettingsChanged(() => updateCardDetails(getSelectedCard())));
+	onPageTeardown(onSettingsChanged(cleanDynamicFeed));
+
+	// Keep the highlight, the remembered row positions, the saved
+	// focus state and the details panel in step with the highlighted
+	// card
+	onPageTeardown(feedController.onFocusChange(drawFeedHighlight));
+	onPageTeardown(feedController.onFocusChange(rememberRowPosition));
+	onPageTeardown(feedController.onFocusChange(saveHomeFocusState));
+	onPageTeardown(feedController.onFocusChange(updateCardDetails));
+
+	// Initialize the dynamic feed observer and the input observers.
+	// All of these are removed again when leaving the homepage
+	// (see router.js).
+	feedController.observe();
 	initiateFeedObserver();
-	initiateKeypressObserver();
+	initQuickJump();
+	initKeyboardObserver(getHomeActionHandlers());
+	initGamepadObserver(getHomeActionHandlers());
+
+	// Highlight whichever card was highlighted when the homepage
+	// was last left, once it has loaded
+	pendingFocusRestore = loadFocusState();
+	focusRestoreDeadline = performance.now() + FOCUS_RESTORE_TIMEOUT;
+	restoreFocusState();
 
 }
 
-console.log("Loading extension nav.js");
+/**
+ * Forget everything about the homepage when leaving it, since the
+ * feed is rebuilt from scratch when coming back to it.
+ */
+function stopHomePage(){
+	feedController.reset();
+	pendingFocusRestore = false;
+	lastFirstCardPress = false;
+	rowFocusMemory.clear();
+	cancelFeedLoad();
+	stopProfilePicker();
+	removeCardDetails();
+}
 
-initPageLoadObserver(() => {
-	init();
+registerPageModule({
+	name: "home",
+	matches: url => getRoutePath(url) == "/",
+	start: () => {
+
+		// Accounts with several profiles are asked to pick one first,
+		// in place of the feed. Once a profile is picked, the homepage
+		// is started again (see profiles.js).
+		const isFeedLoaded = () => findElement("home.feed") != false;
+		waitForElement(() => getProfilePicker() != false || isFeedLoaded(), () => {
+			if (getProfilePicker()){
+				initProfilePicker(restartPageModule);
+			}else{
+				initHomePage();
+			}
+		});
+
+	},
+	stop: stopHomePage,
+	skipSelfCheck: () => getProfilePicker() != false
 });
@@ -0,0 +1,259 @@
+/**
+ * Options page for CrunchyNav.
+ *
+ * Lets the user change their settings, which are then saved to
+ * synced storage and picked up by the content scripts.
+ *
+ * Changes are made to a working copy of the settings, and are only
+ * stored once the user presses Save.
+ */
+
+
+// The settings being edited
+var optionsSettings = copySettings(DEFAULT_SETTINGS);
+
+// The action which is waiting for a key to be pressed, if any
+var capturingAction = false;
+
+/**
+ * Shows a short message next to the Save button.
+ *
+ * @param {String} message The message to show
+ */
+function showStatus(message){
+	document.getElementById("status").textContent = message;
+}
+
+/**
+ * Adds a key to the given action, unless it's already there.
+ *
+ * @param {String} action Name of the action
+ * @param {String} key Name of the key
+ */
+function addKeyBinding(action, key){
+	const keys = optionsSettings.keyBindings[action];
+	if (!keys.includes(key)){
+		keys.push(key);
+	}
+}
+
+/**
+ * Removes a key from the given action.
+ *
+ * @param {String} action Name of the action
+ * @param {String} key Name of the key
+ */
+function removeKeyBinding(action, key){
+	const keys = optionsSettings.keyBindings[action];
+	optionsSettings.keyBindings[action] = keys.filter(k => k != key);
+}
+
+/**
+ * Waits for the user to press a key, then binds it to the
+ * given action.
+ *
+ * Escape cancels, so that it can't be bound by accident.
+ *
+ * @param {String} action Name of the action
+ */
+function captureKeyBinding(action){
+
+	capturingAction = action;
+	renderKeyBindings();
+
+	document.addEventListener("keydown", e => {
+
+		e.preventDefault();
+
+		const key = getKeyName(e);
+		if (e.code != "Escape" && key != false){
+			addKeyBinding(action, key);
+		}
+
+		capturingAction = false;
+		renderKeyBindings();
+
+	}, { once: true });
+
+}
+
+/**
+ * Creates the element showing a single bound key, along with a
+ * button to remove it.
+ *
+ * @param {String} action Name of the action the key is bound to
+ * @param {String} key Name of the key
+ * @param {Boolean} isConflict Whether the key is bound to other
+ * actions as well
+ * @returns The new element
+ */
+function createKeyElement(action, key, isConflict){
+
+	const keyElement = document.createElement("span");
+	keyElement.className = "key";
+	keyElement.textContent = key;
+	if (isConflict){
+		keyElement.classList.add("conflict");
+	}
+
+	const removeButton = document.createElement("button");
+	removeButton.textContent = "×";
+	removeButton.title = "Remove";
+	removeButton.addEventListener("click", () => {
+		removeKeyBinding(action, key);
+		renderKeyBindings();
+	});
+	keyElement.appendChild(removeButton);
+
+	return keyElement;
+
+}
+
+/**
+ * Lists any conflicting keys underneath the key bindings table,
+ * and disables saving until they're resolved.
+ *
+ * @param {Object} conflicts Conflicts, as returned by findBindingConflicts()
+ */
+function renderConflicts(conflicts){
+
+	const messages = [];
+	for (const key in conflicts){
+		const labels = conflicts[key].map(action => KEY_ACTION_LABELS[action] || action);
+		messages.push(key + " is bound to " + labels.join(" and "));
+	}
+
+	document.getElementById("key-binding-conflicts").textContent = messages.join(". ");
+	document.getElementById("save").disabled = messages.length > 0;
+
+}
+
+/**
+ * Redraws the key bindings table from the working copy of
+ * the settings.
+ */
+function renderKeyBindings(){
+
+	const table = document.getElementById("key-bindings");
+	table.replaceChildren();
+
+	const conflicts = findBindingConflicts(optionsSettings.keyBindings);
+
+	for (const action in KEY_ACTION_LABELS){
+
+		const row = table.insertRow();
+		row.insertCell().textContent = KEY_ACTION_LABELS[action];
+
+		const keysCell = row.insertCell();
+		for (const key of optionsSettings.keyBindings[action]){
+			keysCell.appendChild(createKeyElement(action, key, conflicts[key] != undefined));
+		}
+
+		const addCell = row.insertCell();
+		if (capturingAction == action){
+			addCell.className = "capturing";
+			addCell.textContent = "Press a key...";
+		}else{
+			const addButton = document.createElement("button");
+			addButton.textContent = "Add key";
+			addButton.disabled = capturingAction != false;
+			addButton.addEventListener("click", () => {
+				captureKeyBinding(action);
+			});
+			addCell.appendChild(addButton);
+		}
+
+	}
+
+	renderConflicts(conflicts);
+
+}
+
+/**
+ * Fills in every form field which is linked to a setting through
+ * its `data-setting` attribute.
+ *
+ * Settings which hold a list (eg. feed rule patterns) are edited as
+ * one item per line.
+ */
+function renderFieldSettings(){
+	document.querySelectorAll("[data-setting]").forEach(field => {
+		const value = optionsSettings[field.dataset.setting];
+		if (field.type == "checkbox"){
+			field.checked = value;
+		}else if (Array.isArray(value)){
+			field.value = value.join("\n");
+		}else{
+			field.value = value;
+		}
+	});
+}
+
+/**
+ * Copies changes to any form field linked to a setting (through
+ * its `data-setting` attribute) into the working copy of the settings.
+ *
+ * Numbers (eg. the focus ring's thickness) are stored as numbers
+ * rather than as the field's text.
+ */
+function initFieldSettings(){
+	document.querySelectorAll("[data-setting]").forEach(field => {
+		field.addEventListener("change", () => {
+			let value = (field.type == "checkbox") ? field.checked : field.value;
+			if (Array.isArray(DEFAULT_SETTINGS[field.dataset.setting])){
+				value = value.split("\n").map(line => line.trim()).filter(line => line != "");
+			}else if (typeof DEFAULT_SETTINGS[field.dataset.setting] == "number"){
+				value = Number(value);
+				// Every number on the page is a size or a time, so
+				// anything else is put back the way it was
+				if (Number.isFinite(value) == false || value <= 0){
+					field.value = optionsSettings[field.dataset.setting];
+					showStatus("Please enter a number above zero");
+					return;
+				}
+			}
+			optionsSettings[field.dataset.setting] = value;
+		});
+	});
+}
+
+/**
+ * Redraws every section of the options page.
+ */
+function renderOptions(){
+	renderKeyBindings();
+	renderFieldSettings();
+}
+
+/**
+ * Loads the stored settings and sets up the options page.
+ */
+function initOptions(){
+
+	initFieldSettings();
+
+	document.getElementById("save").addEventListener("click", () => {
+		saveSettings(optionsSettings).then(() => {
+			showStatus("Saved");
+		}).catch(error => {
+			showStatus("Failed to save: " + error);
+		});
+	});
+
+	document.getElementById("reset").addEventListener("click", () => {
+		optionsSettings = copySettings(DEFAULT_SETTINGS);
+		renderOptions();
+		showStatus("Defaults restored. Press Save to keep them");
+	});
+
+	loadSettings().then(loaded => {
+		optionsSettings = loaded;
+		renderOptions();
+	}).catch(error => {
+		showStatus("Failed to load settings: " + error);
+		renderOptions();
+	});
+
+}
+
+initOptions();
@@ -15,13 +15,14 @@
 function initAppBodyObserver(callback){
 
 
-    const appContents = document.body.getElementsByClassName("app-body-wrapper");
+    const appContents = findElement("app.body");
 
 	// This should always exist... unless the website has changed
 	// in some way.
 	// But let's check for it anyway.
-	if (appContents.length == 0){
+	if (appContents == false){
 		console.error("CrunchyNav: App body not found. Aborting");
+		reportMissingElements(["app.body"]);
 		return false;
 	}
 
@@ -36,7 +37,7 @@ function initAppBodyObserver(callback){
 		callback();
 	});
 
-	observer.observe(appContents[0], observerConfig);
+	observer.observe(appContents, observerConfig);
 	
 }
 
@@ -94,9 +95,51 @@ function observeElement(elem, callback){
 		characterData: false
 	};
 
-	const observer = new MutationObserver(() => {
+	const observer = trackObserver(new MutationObserver(() => {
 		callback();
-	});
+	}));
 
 	observer.observe(elem, observerConfig);
+}
+
+/**
+ * Wait for something to appear on the page, then run the callback.
+ * 
+ * Unlike initPageLoadObserver(), this also works after the site has
+ * navigated to another page without a full page load, since it
+ * checks for the thing itself rather than the page loading.
+ * 
+ * If it's already there, the callback runs straight away.
+ * 
+ * @param isReady Function which returns true once the page is ready
+ * @param callback Callback to invoke once isReady() returns true
+ * @returns A function which stops waiting, for callers which give up
+ * after a while
+ */
+function waitForElement(isReady, callback){
+
+	if (isReady()){
+		callback();
+		return () => {};
+	}
+
+	// The content can appear anywhere on the page, so the whole
+	// subtree needs to be observed.
+	const observerConfig = {
+		childList: true,
+		subtree: true,
+		characterData: false
+	};
+
+	const observer = trackObserver(new MutationObserver(() => {
+		if (isReady()){
+			observer.disconnect();
+			callback();
+		}
+	}));
+
+	observer.observe(document.body, observerConfig);
+
+	return () => observer.disconnect();
+
 }
\ No newline at end of file
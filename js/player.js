@@ -0,0 +1,513 @@
+/**
+ * Remote friendly playback controls for the video player page
+ * (/watch/*).
+ *
+ * Keys and gamepad buttons are mapped to player actions, such as
+ * play/pause, seeking, volume, fullscreen, subtitle/audio track
+ * cycling, skipping the intro and moving on to the next episode.
+ * An on-screen display (OSD) confirms each action.
+ *
+ * The video itself may live inside an iframe hosted on a different
+ * domain, which the watch page's script can't reach into.
+ * So this script is injected into both the watch page and the player
+ * iframe. Each copy handles whatever it can reach itself, and passes
+ * the rest on to the other with postMessage().
+ * - The iframe handles anything to do with the video element
+ * - The watch page handles anything to do with the page around the
+ *   player (eg. the next episode link), as well as gamepad input
+ */
+
+
+// Origins which are allowed to send player actions
+const PLAYER_MESSAGE_ORIGINS = [
+	"https://www.crunchyroll.com",
+	"https://static.crunchyroll.com"
+];
+
+// Seek steps in seconds.
+// Each consecutive seek in the same direction (eg. while a key is
+// held down) moves on to the next step, up to the last one.
+const PLAYER_SEEK_STEPS = [10, 10, 10, 20, 30, 60];
+
+// How soon (in milliseconds) a seek needs to follow the previous one
+// to count as consecutive
+const PLAYER_SEEK_ACCELERATION_WINDOW = 600;
+
+// How much each volume action changes the volume (0 to 1)
+const PLAYER_VOLUME_STEP = 0.1;
+
+// How long the OSD stays on screen, in milliseconds
+const PLAYER_OSD_DURATION = 1500;
+
+// Tracks consecutive seeks for acceleration
+var playerSeekDirection = 0;
+var playerSeekCount = 0;
+var playerLastSeekTime = 0;
+
+// Timeout ID for hiding the OSD
+var playerOsdTimeout = 0;
+
+/**
+ * Checks whether this copy of the script is running in the
+ * top level watch page, as opposed to the player iframe.
+ */
+function isPlayerTopFrame(){
+	return window.top == window;
+}
+
+/**
+ * Retrieve the video element, if it's in this document.
+ *
+ * @returns The video element, or false if there isn't one
+ */
+function getPlayerVideo(){
+	return findElement("player.video");
+}
+
+/**
+ * Retrieve the player iframe on the watch page.
+ *
+ * @returns The iframe, or false if there isn't one
+ */
+function getPlayerFrame(){
+	return findElement("player.frame");
+}
+
+/**
+ * Checks whether an element around the player is visible, since
+ * buttons such as "skip intro" stay in the DOM while hidden.
+ *
+ * @param {Element} elem The element to check
+ * @returns True if the element takes up some space on screen
+ */
+function isPlayerElementVisible(elem){
+	const rect = elem.getBoundingClientRect();
+	return rect.width > 0 && rect.height > 0;
+}
+
+/**
+ * Show a message on the on-screen display.
+ *
+ * The OSD is added to whichever element is fullscreen (if any),
+ * since nothing else is visible while in fullscreen.
+ *
+ * @param {String} message The message to show
+ */
+function showPlayerOsd(message){
+
+	let osd = document.getElementById("crunchynav-osd");
+	if (osd == null){
+		osd = document.createElement("div");
+		osd.id = "crunchynav-osd";
+	}
+
+	const parent = document.fullscreenElement || document.body;
+	if (osd.parentElement != parent){
+		parent.appendChild(osd);
+	}
+
+	osd.textContent = message;
+	osd.classList.add("visible");
+
+	clearTimeout(playerOsdTimeout);
+	playerOsdTimeout = setTimeout(() => {
+		osd.classList.remove("visible");
+	}, PLAYER_OSD_DURATION);
+
+}
+
+/**
+ * Format a number of seconds as m:ss or h:mm:ss.
+ *
+ * @param {Number} seconds The time to format
+ * @returns The formatted time
+ */
+function formatPlayerTime(seconds){
+
+	seconds = Math.max(Math.floor(seconds), 0);
+	const hours = Math.floor(seconds / 3600);
+	const minutes = Math.floor((seconds % 3600) / 60);
+	const secs = String(seconds % 60).padStart(2, "0");
+
+	if (hours > 0){
+		return hours + ":" + String(minutes).padStart(2, "0") + ":" + secs;
+	}
+	return minutes + ":" + secs;
+
+}
+
+/**
+ * Play or pause the video.
+ *
+ * The browser can refuse to play (eg. if autoplay is blocked, or the
+ * video's source changes), in which case the OSD says so instead.
+ *
+ * @param {HTMLVideoElement} video The video
+ */
+function togglePlayback(video){
+	if (video.paused){
+		video.play().then(() => {
+			showPlayerOsd("▶ Play");
+		}).catch(() => {
+			showPlayerOsd("Couldn't play the video");
+		});
+	}else{
+		video.pause();
+		showPlayerOsd("❚❚ Pause");
+	}
+}
+
+/**
+ * Seek backwards or forwards.
+ *
+ * Consecutive seeks in the same direction get bigger, so holding
+ * the key down speeds through the video.
+ *
+ * @param {HTMLVideoElement} video The video
+ * @param {Number} direction -1 for backwards, 1 for forwards
+ */
+function seekPlayer(video, direction){
+
+	const now = performance.now();
+	const isConsecutive = direction == playerSeekDirection &&
+		now - playerLastSeekTime < PLAYER_SEEK_ACCELERATION_WINDOW;
+
+	playerSeekCount = isConsecutive ? playerSeekCount + 1 : 0;
+	playerSeekDirection = direction;
+	playerLastSeekTime = now;
+
+	const step = PLAYER_SEEK_STEPS[Math.min(playerSeekCount, PLAYER_SEEK_STEPS.length - 1)];
+	const duration = isFinite(video.duration) ? video.duration : Infinity;
+	video.currentTime = Math.min(Math.max(video.currentTime + (step * direction), 0), duration);
+
+	const arrow = (direction < 0) ? "◀◀ -" : "▶▶ +";
+	showPlayerOsd(arrow + step + "s  " + formatPlayerTime(video.currentTime));
+
+}
+
+/**
+ * Turn the volume up or down, unmuting the video if it was muted.
+ *
+ * @param {HTMLVideoElement} video The video
+ * @param {Number} change How much to change the volume by (-1 to 1)
+ */
+function changePlayerVolume(video, change){
+	video.muted = false;
+	video.volume = Math.round(Math.min(Math.max(video.volume + change, 0), 1) * 10) / 10;
+	showPlayerOsd("Volume " + Math.round(video.volume * 100) + "%");
+}
+
+/**
+ * Enter or leave fullscreen.
+ */
+function togglePlayerFullscreen(){
+
+	if (document.fullscreenElement){
+		document.exitFullscreen();
+		showPlayerOsd("Exit fullscreen");
+		return;
+	}
+
+	// Make the player fullscreen rather than the video itself, so
+	// that the site's subtitles and controls still show.
+	// On the watch page, that's the player iframe (if there is one).
+	// Inside the iframe, it's the whole document.
+	let target = document.documentElement;
+	if (isPlayerTopFrame() && getPlayerVideo() == false && getPlayerFrame()){
+		target = getPlayerFrame();
+	}
+
+	target.requestFullscreen().then(() => {
+		showPlayerOsd("Fullscreen");
+	}).catch(() => {
+		showPlayerOsd("Fullscreen not allowed. Try the keyboard instead");
+	});
+
+}
+
+/**
+ * Cycle through a list of media tracks, enabling one at a time.
+ *
+ * After the last track comes "off" (for subtitles only), and then
+ * the first track again.
+ *
+ * @param {TrackList} tracks The video's text or audio tracks
+ * @param {Boolean} allowOff Whether "no track" is an option
+ * @returns The label of the newly enabled track, or "Off"
+ */
+function cycleMediaTracks(tracks, allowOff){
+
+	const list = Array.from(tracks);
+	const isEnabled = track => track.mode ? track.mode == "showing" : track.enabled;
+	const setEnabled = (track, enabled) => {
+		if (track.mode !== undefined){
+			track.mode = enabled ? "showing" : "disabled";
+		}else{
+			track.enabled = enabled;
+		}
+	};
+
+	const current = list.findIndex(isEnabled);
+	const optionCount = list.length + (allowOff ? 1 : 0);
+	const next = (current + 1) % optionCount;
+
+	list.forEach((track, index) => setEnabled(track, index == next));
+
+	if (next >= list.length){
+		return "Off";
+	}
+	return list[next].label || list[next].language || ("Track " + (next + 1));
+
+}
+
+/**
+ * Switch to the next subtitle track (or turn subtitles off).
+ *
+ * @param {HTMLVideoElement} video The video
+ */
+function cyclePlayerSubtitles(video){
+	if (!video.textTracks || video.textTracks.length == 0){
+		showPlayerOsd("No subtitle tracks available");
+		return;
+	}
+	showPlayerOsd("Subtitles: " + cycleMediaTracks(video.textTracks, true));
+}
+
+/**
+ * Switch to the next audio track.
+ *
+ * @param {HTMLVideoElement} video The video
+ */
+function cyclePlayerAudio(video){
+	if (!video.audioTracks || video.audioTracks.length < 2){
+		showPlayerOsd("No other audio tracks available");
+		return;
+	}
+	showPlayerOsd("Audio: " + cycleMediaTracks(video.audioTracks, false));
+}
+
+/**
+ * Press the player's "skip intro" (or recap/credits) button.
+ *
+ * @returns True if the button was found
+ */
+function skipPlayerIntro(){
+	const button = findElement("player.skipButton", document, isPlayerElementVisible);
+	if (button == false){
+		return false;
+	}
+	button.click();
+	showPlayerOsd("Skipped");
+	return true;
+}
+
+/**
+ * Go to the next episode, using the watch page's own link.
+ */
+function playNextEpisode(){
+	const anchor = findElement("player.nextEpisode", document, isPlayerElementVisible);
+	if (anchor == false){
+		showPlayerOsd("No next episode");
+		return;
+	}
+	showPlayerOsd("Next episode");
+	anchor.click();
+}
+
+/**
+ * Run a player action which needs the video element.
+ *
+ * @param {String} action The player action
+ * @param {HTMLVideoElement} video The video
+ */
+function runVideoAction(action, video){
+	switch (action){
+		case "playPause":
+			togglePlayback(video);
+			break;
+		case "seekBack":
+			seekPlayer(video, -1);
+			break;
+		case "seekForward":
+			seekPlayer(video, 1);
+			break;
+		case "volumeUp":
+			changePlayerVolume(video, PLAYER_VOLUME_STEP);
+			break;
+		case "volumeDown":
+			changePlayerVolume(video, -PLAYER_VOLUME_STEP);
+			break;
+		case "subtitles":
+			cyclePlayerSubtitles(video);
+			break;
+		case "audio":
+			cyclePlayerAudio(video);
+			break;
+		case "skipIntro":
+			// Skip if there's something to skip, otherwise treat it
+			// as play/pause, since that's what the key usually does
+			if (!skipPlayerIntro()){
+				togglePlayback(video);
+			}
+			break;
+	}
+}
+
+/**
+ * Run a player action, either here or by passing it on to the
+ * other copy of this script.
+ *
+ * @param {String} action The player action
+ */
+function runPlayerAction(action){
+
+	// Fullscreen can only be requested while handling the user's
+	// key press, so it can't be passed on to the other frame
+	if (action == "fullscreen"){
+		togglePlayerFullscreen();
+		return;
+	}
+
+	// Back leaves fullscreen first, and only then leaves the page.
+	// Leaving the page is up to the top frame, since going back from
+	// inside the player iframe would only affect the iframe.
+	if (action == "back"){
+		if (document.fullscreenElement){
+			togglePlayerFullscreen();
+		}else if (isPlayerTopFrame()){
+			navigateBack({ preventDefault: () => {} });
+		}else{
+			window.parent.postMessage({ crunchynavPlayerAction: action }, "*");
+		}
+		return;
+	}
+
+	if (action == "nextEpisode"){
+		if (isPlayerTopFrame()){
+			playNextEpisode();
+		}else{
+			window.parent.postMessage({ crunchynavPlayerAction: action }, "*");
+		}
+		return;
+	}
+
+	const video = getPlayerVideo();
+	if (video){
+		runVideoAction(action, video);
+		return;
+	}
+
+	// No video here, so it must be inside the player iframe
+	const frame = getPlayerFrame();
+	if (frame && frame.contentWindow){
+		frame.contentWindow.postMessage({ crunchynavPlayerAction: action }, "*");
+	}
+
+}
+
+/**
+ * Listen for player actions passed on by the other copy of
+ * this script.
+ */
+function initiatePlayerMessageObserver(){
+	addPageEventListener(window, "message", e => {
+		if (!PLAYER_MESSAGE_ORIGINS.includes(e.origin)){
+			return;
+		}
+		if (e.data && typeof e.data.crunchynavPlayerAction == "string"){
+			runPlayerAction(e.data.crunchynavPlayerAction);
+		}
+	});
+}
+
+/**
+ * Creates a handler which runs the given player action.
+ *
+ * Player actions always consume the key press, so that (for example)
+ * the page doesn't scroll when changing the volume.
+ *
+ * @param {String} action The player action
+ * @returns The handler function
+ */
+function playerActionHandler(action){
+	return e => {
+		e.preventDefault();
+		runPlayerAction(action);
+	};
+}
+
+/**
+ * Retrieve the functions which should run for each logical action.
+ *
+ * - select/playPause: play or pause
+ * - left/right: seek backwards/forwards
+ * - up/down: volume
+ * - back: leave fullscreen, or go back to the previous page
+ * - secondary/skipIntro: skip the intro (or play/pause if there's
+ *   nothing to skip)
+ * - previous: cycle audio tracks
+ * - next/nextEpisode: next episode
+ *
+ * @returns Map of action names to handler functions
+ */
+function getPlayerActionHandlers(){
+	return {
+		up: playerActionHandler("volumeUp"),
+		down: playerActionHandler("volumeDown"),
+		left: playerActionHandler("seekBack"),
+		right: playerActionHandler("seekForward"),
+		select: playerActionHandler("playPause"),
+		back: playerActionHandler("back"),
+		secondary: playerActionHandler("skipIntro"),
+		previous: playerActionHandler("audio"),
+		next: playerActionHandler("nextEpisode"),
+		playPause: playerActionHandler("playPause"),
+		fullscreen: playerActionHandler("fullscreen"),
+		subtitles: playerActionHandler("subtitles"),
+		audio: playerActionHandler("audio"),
+		skipIntro: playerActionHandler("skipIntro"),
+		nextEpisode: playerActionHandler("nextEpisode")
+	};
+}
+
+/**
+ * Checks whether the player has loaded.
+ *
+ * On the watch page that's the player iframe (or the video itself,
+ * if the site stops using an iframe). In the iframe, it's the video.
+ */
+function isPlayerLoaded(){
+	return getPlayerVideo() != false || (isPlayerTopFrame() && getPlayerFrame() != false);
+}
+
+/**
+ * Start listening for player actions, once the player has loaded.
+ */
+function initPlayer(){
+
+	initiatePlayerMessageObserver();
+	initKeyboardObserver(getPlayerActionHandlers());
+
+	// Gamepads are only polled from the watch page, otherwise both
+	// copies of this script would react to the same button press
+	if (isPlayerTopFrame()){
+		initGamepadObserver(getPlayerActionHandlers());
+	}
+
+}
+
+/**
+ * Checks whether the given URL is the watch page, or the player
+ * iframe within it.
+ */
+function isPlayerUrl(url){
+	return url.hostname == "static.crunchyroll.com" || getRoutePath(url).startsWith("/watch/");
+}
+
+registerPageModule({
+	name: "player",
+	matches: isPlayerUrl,
+	start: () => {
+		waitForElement(isPlayerLoaded, initPlayer);
+	}
+});
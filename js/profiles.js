@@ -0,0 +1,171 @@
+/**
+ * The "Who's watching?" profile picker.
+ *
+ * Accounts with more than one profile are asked to pick one before
+ * anything else. Depending on how the site was reached, the picker
+ * either has its own page (`/profiles`), or is shown on the homepage
+ * in place of the feed.
+ *
+ * Left/right move between the profiles, down reaches the "manage
+ * profiles" entry, and select picks whichever is highlighted.
+ *
+ * When the picker is shown in place of the feed, the homepage module
+ * is started again from scratch once it closes, the same way the
+ * page load observer starts the homepage once the page has loaded.
+ */
+
+
+// The highlighted profile (or "manage profiles" entry), or false
+// if nothing has been highlighted yet
+var selectedProfileItem = false;
+
+/**
+ * Retrieve the profile picker, if it's being shown.
+ *
+ * @returns The profile picker, or false if it isn't shown
+ */
+function getProfilePicker(){
+	return findElement("profiles.picker", document, isSpatiallyNavigable);
+}
+
+/**
+ * Retrieve everything in the profile picker which can be highlighted:
+ * the profiles, followed by the "manage profiles" entry.
+ *
+ * @returns Array of items (possibly empty)
+ */
+function getProfileItems(){
+
+	const picker = getProfilePicker();
+	if (picker == false){
+		return [];
+	}
+
+	const items = findElements("profiles.item", picker, isSpatiallyNavigable);
+
+	const manage = findElement("profiles.manage", picker, isSpatiallyNavigable);
+	if (manage){
+		items.push(manage);
+	}
+
+	return items;
+
+}
+
+/**
+ * Highlight the given profile (or "manage profiles" entry).
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ * @param {Element} item The item to highlight
+ */
+function highlightProfileItem(e, item){
+
+	if (selectedProfileItem && !document.body.contains(selectedProfileItem)){
+		selectedProfileItem = false;
+	}
+
+	drawCardHighlight(selectedProfileItem, item);
+	selectedProfileItem = item;
+
+	e.preventDefault();
+
+}
+
+/**
+ * Move the highlight in the given direction.
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ * @param {String} direction One of up, down, left or right
+ */
+function moveProfileHighlight(e, direction){
+
+	const items = getProfileItems();
+	const current = items.includes(selectedProfileItem) ? selectedProfileItem : false;
+
+	const item = findSpatialFocus(current, direction, { candidates: items });
+
+	// There's nothing to scroll to behind the picker
+	e.preventDefault();
+
+	if (item){
+		highlightProfileItem(e, item);
+	}
+
+}
+
+/**
+ * Pick the highlighted profile, or open "manage profiles".
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ */
+function selectProfileItem(e){
+
+	if (!getProfileItems().includes(selectedProfileItem)){
+		return;
+	}
+
+	e.preventDefault();
+
+	// Profiles are sometimes a plain div wrapping the actual button
+	const target = selectedProfileItem.matches('a, button') ?
+		selectedProfileItem : (selectedProfileItem.querySelector('a, button') || selectedProfileItem);
+	target.click();
+
+}
+
+/**
+ * Retrieve the functions which should run for each logical action.
+ *
+ * @returns Map of action names to handler functions
+ */
+function getProfileActionHandlers(){
+	return withMenuHandlers({
+		up: e => moveProfileHighlight(e, "up"),
+		down: e => moveProfileHighlight(e, "down"),
+		left: e => moveProfileHighlight(e, "left"),
+		right: e => moveProfileHighlight(e, "right"),
+		previous: e => moveProfileHighlight(e, "left"),
+		next: e => moveProfileHighlight(e, "right"),
+		select: selectProfileItem
+	});
+}
+
+/**
+ * Sets up the profile picker once it has appeared.
+ *
+ * @param {Function|false} onClosed Called once the picker closes, if
+ * the page stays the same (ie. the picker was shown in place of the
+ * homepage). False if the picker has its own page, in which case the
+ * router takes over once a profile is picked.
+ */
+function initProfilePicker(onClosed){
+
+	initKeyboardObserver(getProfileActionHandlers());
+	initGamepadObserver(getProfileActionHandlers());
+
+	const items = getProfileItems();
+	if (items.length > 0){
+		highlightProfileItem({ preventDefault: () => {} }, items[0]);
+	}
+
+	if (onClosed){
+		waitForElement(() => getProfilePicker() == false, onClosed);
+	}
+
+}
+
+/**
+ * Forget the highlighted profile when leaving the picker.
+ */
+function stopProfilePicker(){
+	selectedProfileItem = false;
+}
+
+registerPageModule({
+	name: "profiles",
+	matches: url => getRoutePath(url).startsWith("/profiles"),
+	start: () => {
+		waitForElement(() => getProfilePicker() != false, () => initProfilePicker(false));
+	},
+	stop: stopProfilePicker
+});
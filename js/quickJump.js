@@ -0,0 +1,225 @@
+/**
+ * The quick jump overlay, which lists every row (category) on the
+ * homepage so that any of them can be reached in a couple of presses.
+ *
+ * The overlay is a dialog, so while it's open the usual menu handling
+ * applies (see menus.js): up/down move between the rows, select jumps
+ * to the highlighted row's first card and back closes it.
+ *
+ * Typing filters the list by title. Keys which are bound to moving,
+ * selecting or going back keep doing that instead, and Backspace only
+ * closes the overlay once the filter is empty.
+ *
+ * Only rows which have loaded can be listed, since the site doesn't
+ * say anything about the rest of the feed until it's loaded. The last
+ * entry loads more rows instead (see feedLoader.js).
+ */
+
+
+// ID of the overlay element
+const QUICK_JUMP_ID = "crunchynav-quick-jump";
+
+// Actions which a key keeps doing while the overlay is open, rather
+// than being typed into the filter
+const QUICK_JUMP_NAVIGATION_ACTIONS = ["up", "down", "left", "right", "select", "back"];
+
+// The text typed so far to filter the list
+var quickJumpFilter = "";
+
+/**
+ * Retrieve the overlay, if it's open.
+ *
+ * @returns The overlay, or false if it isn't open
+ */
+function getQuickJump(){
+	return document.getElementById(QUICK_JUMP_ID) || false;
+}
+
+/**
+ * Retrieve every row which can be jumped to, along with its title.
+ *
+ * Rows without a title of their own (eg. some banners) are named
+ * after their position instead.
+ *
+ * @returns Array of {row, title}
+ */
+function getQuickJumpRows(){
+
+	const rows = getRows();
+	if (rows == false){
+		return [];
+	}
+
+	return rows.map((row, index) => ({
+		row: row,
+		title: isHeroRow(row) ? "Featured" : (getRowTitle(row) || "Row " + (index + 1))
+	}));
+
+}
+
+/**
+ * Add a button to the overlay's list.
+ *
+ * @param {Element} list The list
+ * @param {String} label The button's text
+ * @param {Function} onClick Called when the button is selected
+ */
+function addQuickJumpEntry(list, label, onClick){
+	const entry = document.createElement("button");
+	entry.type = "button";
+	entry.tabIndex = -1;
+	entry.textContent = label;
+	entry.addEventListener("click", onClick);
+	list.appendChild(entry);
+}
+
+/**
+ * Fill the overlay's list in with the rows matching the filter, and
+ * highlight the first one.
+ */
+function renderQuickJump(){
+
+	const overlay = getQuickJump();
+	if (overlay == false){
+		return;
+	}
+
+	const filter = overlay.querySelector(".crunchynav-quick-jump-filter");
+	filter.textContent = (quickJumpFilter == "") ? "Type to filter" : quickJumpFilter;
+
+	const list = overlay.querySelector(".crunchynav-quick-jump-list");
+	list.replaceChildren();
+
+	const search = quickJumpFilter.toLowerCase();
+	for (const { row, title } of getQuickJumpRows()){
+		if (title.toLowerCase().includes(search)){
+			addQuickJumpEntry(list, title, () => jumpToRow(row));
+		}
+	}
+
+	addQuickJumpEntry(list, "Load more categories…", () => {
+		requestMoreFeedRows(renderQuickJump);
+	});
+
+	selectedMenuItem = false;
+	highlightMenuItem({ preventDefault: () => {} }, list.firstElementChild);
+
+}
+
+/**
+ * Close the overlay and highlight the first card of the given row.
+ *
+ * @param {Element} row The row (category) to jump to
+ */
+function jumpToRow(row){
+
+	closeQuickJump();
+
+	const cards = Array.from(getColumns(row) || []);
+	if (cards.length == 0){
+		return;
+	}
+
+	pendingFocusRestore = false;
+	highlightCard({ preventDefault: () => {} }, cards[0]);
+
+}
+
+/**
+ * Handle key presses while the overlay is open, before they're
+ * turned into actions.
+ *
+ * Printable characters are added to the filter, and Backspace
+ * removes the last one.
+ *
+ * @param {KeyboardEvent} e The key press
+ */
+function quickJumpKeyHandler(e){
+
+	if (getQuickJump() == false || e.ctrlKey || e.altKey || e.metaKey){
+		return;
+	}
+
+	const action = getKeyAction(e, settings.keyBindings);
+
+	let handled = false;
+	if (e.key == "Backspace" && quickJumpFilter != ""){
+		quickJumpFilter = quickJumpFilter.slice(0, -1);
+		handled = true;
+	}else if (e.key.length == 1 && !QUICK_JUMP_NAVIGATION_ACTIONS.includes(action)){
+		quickJumpFilter += e.key;
+		handled = true;
+	}
+
+	if (handled){
+		e.preventDefault();
+		e.stopImmediatePropagation();
+		renderQuickJump();
+	}
+
+}
+
+/**
+ * Open the overlay.
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ */
+function openQuickJump(e){
+
+	e.preventDefault();
+
+	if (getQuickJump()){
+		return;
+	}
+
+	const overlay = document.createElement("div");
+	overlay.id = QUICK_JUMP_ID;
+	overlay.setAttribute("role", "dialog");
+	overlay.setAttribute("aria-label", "Jump to a category");
+
+	const filter = document.createElement("div");
+	filter.className = "crunchynav-quick-jump-filter";
+	overlay.appendChild(filter);
+
+	const list = document.createElement("div");
+	list.className = "crunchynav-quick-jump-list";
+	overlay.appendChild(list);
+
+	// Back closes menus by sending them Escape (see closeMenu())
+	overlay.addEventListener("keydown", e => {
+		if (e.key == "Escape"){
+			closeQuickJump();
+		}
+	});
+
+	quickJumpFilter = "";
+	document.body.appendChild(overlay);
+	renderQuickJump();
+
+}
+
+/**
+ * Close the overlay, if it's open.
+ */
+function closeQuickJump(){
+
+	const overlay = getQuickJump();
+	if (overlay){
+		overlay.remove();
+	}
+
+	selectedMenuItem = false;
+	quickJumpFilter = "";
+
+}
+
+/**
+ * Start listening for typing in the overlay.
+ *
+ * The listener runs in the capture phase, so that it sees key presses
+ * before the keyboard observer turns them into actions.
+ */
+function initQuickJump(){
+	addPageEventListener(document, "keydown", quickJumpKeyHandler, true);
+	onPageTeardown(closeQuickJump);
+}
@@ -0,0 +1,231 @@
+/**
+ * Client-side route handling for CrunchyNav.
+ *
+ * Crunchyroll is a single page app. Moving from the homepage to a
+ * series page (for example) swaps out the page's content without
+ * loading a new page, so content scripts which were only injected
+ * for the homepage would keep running on the series page.
+ *
+ * Instead, every script is injected on every page, and each page
+ * (homepage, series page, etc.) registers itself as a page module.
+ * The router watches for URL changes, tears down whichever module
+ * was running (its observers and input listeners), then starts the
+ * module which matches the new URL.
+ *
+ * A page module is an object with:
+ * - name: Short name, eg. "home". The current module's name is set as
+ *   the `data-crunchynav-page` attribute on the <html> element, so
+ *   that stylesheets can be scoped to a single page.
+ * - matches: Function(location) returning true if the module handles
+ *   that URL
+ * - start: Function which starts the module
+ * - stop: Function which resets the module's state (optional).
+ *   Observers and listeners registered with onPageTeardown(),
+ *   trackObserver() or addPageEventListener() are cleaned up
+ *   automatically, so this only needs to reset variables.
+ * - skipSelfCheck: Function returning true if the page is showing
+ *   something else, so its required elements shouldn't be looked for
+ *   (optional, see selectors.js)
+ */
+
+
+// Every registered page module, in the order they're checked
+var pageModules = [];
+
+// The module which is currently running, or false if none match
+var activePageModule = false;
+
+// Functions to call when the active module is torn down
+var activePageCleanups = [];
+
+// The path which the active module was started for.
+// Only the path counts, so that the site changing the query string
+// (eg. when picking a season) doesn't restart the module.
+var activePagePath = false;
+
+/**
+ * Retrieve the path of the given URL, without the language prefix
+ * which the site adds for some languages.
+ *
+ * eg. "/fr/series/ABC123" becomes "/series/ABC123"
+ *
+ * @param {Location} url The URL (usually `location`)
+ * @returns The path, always starting with a slash
+ */
+function getRoutePath(url){
+	const path = url.pathname.replace(/^\/[a-z]{2}(-[a-z]{2})?(?=\/|$)/, "");
+	return path == "" ? "/" : path;
+}
+
+/**
+ * Register a page module with the router.
+ *
+ * @param {Object} module The page module (see the top of this file)
+ */
+function registerPageModule(module){
+	pageModules.push(module);
+}
+
+/**
+ * Register a function to call when the active page module is
+ * torn down.
+ *
+ * @param {Function} cleanup The function to call
+ */
+function onPageTeardown(cleanup){
+	activePageCleanups.push(cleanup);
+}
+
+/**
+ * Disconnect the given observer when the active page module is
+ * torn down.
+ *
+ * @param {MutationObserver} observer The observer
+ * @returns The same observer, for convenience
+ */
+function trackObserver(observer){
+	onPageTeardown(() => observer.disconnect());
+	return observer;
+}
+
+/**
+ * Add an event listener which is removed again when the active
+ * page module is torn down.
+ *
+ * @param {EventTarget} target What to listen to (eg. document)
+ * @param {String} type The event type (eg. "keydown")
+ * @param {Function} listener The listener
+ * @param {Boolean} capture Whether to listen in the capture phase
+ * (optional)
+ */
+function addPageEventListener(target, type, listener, capture = false){
+	target.addEventListener(type, listener, capture);
+	onPageTeardown(() => target.removeEventListener(type, listener, capture));
+}
+
+/**
+ * Tear down the active page module, if there is one.
+ */
+function stopPageModule(){
+
+	const cleanups = activePageCleanups;
+	activePageCleanups = [];
+	cleanups.forEach(cleanup => cleanup());
+
+	if (activePageModule && activePageModule.stop){
+		activePageModule.stop();
+	}
+
+	activePageModule = false;
+	delete document.documentElement.dataset.crunchynavPage;
+
+}
+
+/**
+ * Start whichever page module matches the current URL, after
+ * tearing down the previous one.
+ *
+ * Nothing happens if the path hasn't changed, so this is safe to
+ * call as often as needed.
+ */
+function routePage(){
+
+	if (location.pathname == activePagePath){
+		return;
+	}
+
+	activePagePath = location.pathname;
+	recordPageVisit();
+
+	stopPageModule();
+
+	// Pages without a module are left alone
+	const module = pageModules.find(module => module.matches(location));
+	if (!module){
+		return;
+	}
+
+	startPageModule(module);
+
+}
+
+/**
+ * Start the given page module.
+ *
+ * @param {Object} module The page module (see the top of this file)
+ */
+function startPageModule(module){
+	activePageModule = module;
+	document.documentElement.dataset.crunchynavPage = module.name;
+	module.start();
+	scheduleSelectorSelfCheck(module);
+}
+
+/**
+ * Tear down the active page module and start it again from scratch,
+ * without the URL changing.
+ *
+ * This is for pages which show something else first, such as the
+ * profile picker shown in place of the homepage (see profiles.js).
+ */
+function restartPageModule(){
+
+	const module = activePageModule;
+	if (!module){
+		return;
+	}
+
+	stopPageModule();
+	startPageModule(module);
+
+}
+
+/**
+ * Start watching for URL changes.
+ *
+ * Content scripts can't intercept the page's own calls to
+ * history.pushState(), so instead this checks the URL whenever the
+ * page changes. Navigating to another page always changes the DOM,
+ * and checking the URL is cheap.
+ * Back/forward navigation is also caught through popstate.
+ */
+function initRouteObserver(){
+
+	const observer = new MutationObserver(() => {
+		routePage();
+	});
+
+	observer.observe(document.body, {
+		childList: true,
+		subtree: true,
+		characterData: false
+	});
+
+	window.addEventListener("popstate", () => {
+		routePage();
+	});
+
+}
+
+/**
+ * Start the router.
+ *
+ * On the site itself, the first page module is started once the
+ * page has finished its initial (staggered) load.
+ * Anywhere else (eg. inside the player iframe) there's no such load
+ * to wait for, so it starts straight away.
+ */
+function initRouter(){
+
+	const isSitePage = document.getElementById("content") != null;
+	if (!isSitePage){
+		routePage();
+		return;
+	}
+
+	initPageLoadObserver(() => {
+		routePage();
+		initRouteObserver();
+	});
+
+}
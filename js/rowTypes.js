@@ -0,0 +1,187 @@
+/**
+ * Row (category) types for the homepage feed.
+ *
+ * The feed is made up of several different kinds of rows, such as
+ * carousels of series cards, banners highlighting one or more series,
+ * news feeds and video game adverts.
+ *
+ * Every row is classified as one of the types below, and that type
+ * decides whether the row is shown, and how focus moves within it.
+ * This keeps the handling of each kind of row in one place.
+ */
+
+
+/**
+ * Retrieve the links to each distinct series within an element.
+ *
+ * Banners often link to the same series more than once (eg. from
+ * both the image and the title), so only the first link to each
+ * series is kept.
+ *
+ * @param {Element} elem The element to search
+ * @returns Array of anchor elements
+ */
+function getDistinctSeriesLinks(elem){
+
+	const seen = [];
+	const links = [];
+
+	for (const anchor of findElements("seriesLink", elem)){
+		if (!seen.includes(anchor.href)){
+			seen.push(anchor.href);
+			links.push(anchor);
+		}
+	}
+
+	return links;
+
+}
+
+/**
+ * Retrieve the content div of a row.
+ *
+ * Each row is expected to have exactly one child, which holds
+ * everything else.
+ *
+ * @param {Element} row The row (category)
+ * @returns The content div, or false if the row isn't in that format
+ */
+function getRowContent(row){
+	if (row.children.length != 1){
+		return false;
+	}
+	return row.children[0];
+}
+
+/**
+ * The different kinds of row, in the order in which they're checked.
+ *
+ * Each type has:
+ * - matches: Function(row, content) which checks whether a row is of
+ *   this type
+ * - navigable: Whether the row is shown and can be highlighted.
+ *   Rows which aren't navigable are hidden.
+ * - getCards: Function(row) returning the elements which can be
+ *   highlighted within the row (navigable types only)
+ */
+const ROW_TYPES = {
+
+	// Rows with no content (or an unexpected layout)
+	empty: {
+		matches: (row, content) => content == false,
+		navigable: false
+	},
+
+	// News and editorial feeds
+	news: {
+		matches: (row, content) => matchesElement("home.newsRow", content),
+		navigable: false
+	},
+
+	// Video game adverts
+	game: {
+		matches: (row, content) => matchesElement("home.gameRow", content) ||
+			findElement("home.gameLink", content) != false,
+		navigable: false
+	},
+
+	// The usual category of series cards.
+	// These have 2 divs: the title of the category, then the cards.
+	carousel: {
+		matches: (row, content) => content.children.length == 2 &&
+			findElement("home.carouselCard", content) != false,
+		navigable: true,
+		getCards: row => findElements("home.carouselCard", row)
+	},
+
+	// A banner highlighting a single series.
+	// The whole banner is one card.
+	highlight: {
+		matches: (row, content) => getDistinctSeriesLinks(content).length == 1,
+		navigable: true,
+		getCards: row => [getRowContent(row)]
+	},
+
+	// A banner highlighting several series side by side.
+	// Each series link is a card.
+	banner: {
+		matches: (row, content) => getDistinctSeriesLinks(content).length > 1,
+		navigable: true,
+		getCards: row => getDistinctSeriesLinks(row)
+	},
+
+	// Anything else
+	unknown: {
+		matches: () => true,
+		navigable: false
+	}
+
+};
+
+/**
+ * Work out which type of row the given row is.
+ *
+ * The result is stored on the row, so that it can be retrieved again
+ * without reclassifying (see getRowType()).
+ *
+ * @param {Element} row The row (category)
+ * @returns The name of the row type, as per ROW_TYPES
+ */
+function classifyRow(row){
+
+	const content = getRowContent(row);
+
+	for (const type in ROW_TYPES){
+		if (ROW_TYPES[type].matches(row, content)){
+			row.dataset.crunchynavRowType = type;
+			return type;
+		}
+	}
+
+}
+
+/**
+ * Retrieve the type of the given row, classifying it if that
+ * hasn't been done yet.
+ *
+ * @param {Element} row The row (category)
+ * @returns The name of the row type, as per ROW_TYPES
+ */
+function getRowType(row){
+	const type = row.dataset.crunchynavRowType;
+	if (type && ROW_TYPES[type]){
+		return type;
+	}
+	return classifyRow(row);
+}
+
+/**
+ * Retrieve the title of a row, eg. "Free to Watch".
+ *
+ * @param {Element} row The row (category)
+ * @returns The title, or an empty string if the row doesn't have one
+ */
+function getRowTitle(row){
+	const heading = findElement("home.rowTitle", row);
+	if (heading == false){
+		return '';
+	}
+	return heading.textContent.trim();
+}
+
+/**
+ * Retrieve the elements which can be highlighted within a row,
+ * according to its type.
+ *
+ * Cards hidden by the user's rules (see feedRules.js) are left out.
+ *
+ * @param {Element} row The row (category)
+ * @returns The cards within the row (possibly empty)
+ */
+function getRowCards(row){
+	const rowType = ROW_TYPES[getRowType(row)];
+	if (!rowType.navigable){
+		return [];
+	}
+	return Array.from(rowType.getCards(row)).filter(card => !isHiddenByRules(card));
+}
@@ -0,0 +1,331 @@
+/**
+ * The search page, with an on-screen keyboard.
+ *
+ * Controllers and remotes can't type, so an on-screen keyboard is
+ * added above the search results. Each key is highlighted and
+ * pressed like any other element, and fills the site's own search
+ * input, so the site searches as usual.
+ *
+ * The keyboard and the results are separate focus containers:
+ * moving down from the keyboard's last row goes into the results,
+ * and moving up from the first row of results goes back to the
+ * keyboard. Result cards are highlighted the same way as the
+ * homepage's cards (see focusRing.js).
+ */
+
+
+// The on-screen keyboard's layout, one string per row.
+// The special keys are added as a final row.
+const SEARCH_KEYBOARD_ROWS = [
+	"1234567890",
+	"abcdefghij",
+	"klmnopqrst",
+	"uvwxyz-'&."
+];
+
+// The special keys, in order
+const SEARCH_KEYBOARD_ACTIONS = [
+	{ action: "space", label: "Space" },
+	{ action: "backspace", label: "Backspace" },
+	{ action: "clear", label: "Clear" }
+];
+
+// ID of the on-screen keyboard element
+const SEARCH_KEYBOARD_ID = "crunchynav-keyboard";
+
+// The currently highlighted key or result card, or false if nothing
+// has been highlighted yet
+var selectedSearchElement = false;
+
+/**
+ * Retrieve the site's search input.
+ *
+ * @returns The input, or false if it couldn't be found
+ */
+function getSearchInput(){
+	return findElement("search.input");
+}
+
+/**
+ * Retrieve the on-screen keyboard.
+ *
+ * @returns The keyboard, or false if it hasn't been added
+ */
+function getSearchKeyboard(){
+	return document.getElementById(SEARCH_KEYBOARD_ID) || false;
+}
+
+/**
+ * Retrieve the on-screen keyboard's keys.
+ *
+ * @returns Array of key buttons (possibly empty)
+ */
+function getSearchKeys(){
+	const keyboard = getSearchKeyboard();
+	if (keyboard == false){
+		return [];
+	}
+	return Array.from(keyboard.getElementsByTagName("button"));
+}
+
+/**
+ * Retrieve the container holding the search results.
+ *
+ * @returns The container, or false if there are no results (yet)
+ */
+function getSearchResults(){
+	return findElement("search.results");
+}
+
+/**
+ * Retrieve the search result cards.
+ *
+ * @returns Array of cards (possibly empty)
+ */
+function getSearchResultCards(){
+
+	const results = getSearchResults();
+	if (results == false){
+		return [];
+	}
+
+	return findElements("search.resultCard", results);
+
+}
+
+/**
+ * Build the on-screen keyboard.
+ *
+ * Each key is a button, which holds either the character it types
+ * (`data-crunchynav-key`) or the special action it performs
+ * (`data-crunchynav-key-action`).
+ *
+ * @returns The keyboard element
+ */
+function createSearchKeyboard(){
+
+	const keyboard = document.createElement("div");
+	keyboard.id = SEARCH_KEYBOARD_ID;
+
+	const addRow = () => {
+		const row = document.createElement("div");
+		row.className = "crunchynav-keyboard-row";
+		keyboard.appendChild(row);
+		return row;
+	};
+
+	const addKey = (row, label) => {
+		const key = document.createElement("button");
+		key.type = "button";
+		key.tabIndex = -1;
+		key.textContent = label;
+		row.appendChild(key);
+		return key;
+	};
+
+	for (const characters of SEARCH_KEYBOARD_ROWS){
+		const row = addRow();
+		for (const character of characters){
+			addKey(row, character).dataset.crunchynavKey = character;
+		}
+	}
+
+	const actionRow = addRow();
+	for (const key of SEARCH_KEYBOARD_ACTIONS){
+		addKey(actionRow, key.label).dataset.crunchynavKeyAction = key.action;
+	}
+
+	return keyboard;
+
+}
+
+/**
+ * Set the value of the site's search input.
+ *
+ * The site is built with React, which ignores values set directly
+ * on the input. Using the input's native setter, then firing an
+ * input event, makes it pick up the change as if it were typed.
+ *
+ * @param {HTMLInputElement} input The search input
+ * @param {String} value The new value
+ */
+function setSearchInputValue(input, value){
+	const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, "value").set;
+	setter.call(input, value);
+	input.dispatchEvent(new Event("input", { bubbles: true }));
+}
+
+/**
+ * Press a key on the on-screen keyboard.
+ *
+ * @param {Element} key The key's button
+ */
+function pressSearchKey(key){
+
+	const input = getSearchInput();
+	if (input == false){
+		console.error("CrunchyNav: Search input not found");
+		return;
+	}
+
+	const value = input.value;
+	const action = key.dataset.crunchynavKeyAction;
+
+	if (action == "space"){
+		setSearchInputValue(input, value + " ");
+	}else if (action == "backspace"){
+		setSearchInputValue(input, value.slice(0, -1));
+	}else if (action == "clear"){
+		setSearchInputValue(input, "");
+	}else{
+		setSearchInputValue(input, value + key.dataset.crunchynavKey);
+	}
+
+}
+
+/**
+ * Highlight the given key or result card.
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ * @param {Element} elem The key or card to highlight
+ */
+function highlightSearchElement(e, elem){
+
+	if (selectedSearchElement && !document.body.contains(selectedSearchElement)){
+		selectedSearchElement = false;
+	}
+
+	drawCardHighlight(selectedSearchElement, elem);
+	scrollToFocus(elem);
+	selectedSearchElement = elem;
+
+	e.preventDefault();
+
+}
+
+/**
+ * Move the highlight in the given direction, between the keys and
+ * the result cards.
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ * @param {String} direction One of up, down, left or right
+ */
+function moveSearchHighlight(e, direction){
+
+	const containers = [getSearchKeyboard(), getSearchResults()].filter(container => container != false);
+
+	const current = (selectedSearchElement && document.body.contains(selectedSearchElement)) ?
+		selectedSearchElement : false;
+
+	const elem = findSpatialFocus(current, direction, {
+		containers: containers,
+		getCandidates: container =>
+			(container == getSearchKeyboard()) ? getSearchKeys() : getSearchResultCards()
+	});
+	if (elem == false){
+		return;
+	}
+
+	highlightSearchElement(e, elem);
+
+}
+
+/**
+ * Press the highlighted key, or open the highlighted result.
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ */
+function selectSearchElement(e){
+
+	const elem = selectedSearchElement;
+	if (elem == false || !document.body.contains(elem)){
+		return;
+	}
+
+	e.preventDefault();
+
+	if (getSearchKeys().includes(elem)){
+		pressSearchKey(elem);
+		return;
+	}
+
+	const anchor = (elem.tagName == 'A') ? elem : elem.querySelector('a[href]');
+	if (anchor){
+		anchor.click();
+	}
+
+}
+
+/**
+ * Delete the last character of the search, from anywhere on the page.
+ *
+ * @param {KeyboardEvent} e Keyboard event which triggered this function
+ */
+function deleteSearchCharacter(e){
+	const input = getSearchInput();
+	if (input){
+		e.preventDefault();
+		setSearchInputValue(input, input.value.slice(0, -1));
+	}
+}
+
+/**
+ * Retrieve the functions which should run for each logical action.
+ *
+ * Directions move between keys and results, select presses the
+ * highlighted key (or opens the highlighted result), secondary
+ * deletes the last character and back goes back.
+ *
+ * @returns Map of action names to handler functions
+ */
+function getSearchActionHandlers(){
+	return withMenuHandlers({
+		up: e => moveSearchHighlight(e, "up"),
+		down: e => moveSearchHighlight(e, "down"),
+		left: e => moveSearchHighlight(e, "left"),
+		right: e => moveSearchHighlight(e, "right"),
+		select: selectSearchElement,
+		secondary: deleteSearchCharacter,
+		back: navigateBack
+	});
+}
+
+/**
+ * Sets up the search page once its search input has loaded.
+ */
+function initSearchPage(){
+
+	const input = getSearchInput();
+	if (input == false){
+		console.error("CrunchyNav: Search input not found. Aborting");
+		reportMissingElements(["search.input"]);
+		return;
+	}
+
+	// Add the keyboard just below the search input
+	const keyboard = createSearchKeyboard();
+	(input.closest("form") || input.parentElement).after(keyboard);
+	onPageTeardown(() => keyboard.remove());
+
+	// The site focuses its search input, and key presses inside
+	// text inputs are left alone (see keyboard.js), so the arrow
+	// keys wouldn't reach the on-screen keyboard otherwise
+	input.blur();
+
+	initKeyboardObserver(getSearchActionHandlers());
+	initGamepadObserver(getSearchActionHandlers());
+
+	highlightSearchElement({ preventDefault: () => {} }, getSearchKeys()[0]);
+
+}
+
+registerPageModule({
+	name: "search",
+	matches: url => getRoutePath(url).startsWith("/search"),
+	start: () => {
+		waitForElement(() => getSearchInput() != false, initSearchPage);
+	},
+	stop: () => {
+		selectedSearchElement = false;
+	}
+});
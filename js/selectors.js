@@ -0,0 +1,678 @@
+/**
+ * The selector profile: every part of the site which CrunchyNav
+ * looks for, and how to find it.
+ *
+ * The site's markup isn't documented anywhere, and changes every so
+ * often. Rather than each page hard coding its own selectors, every
+ * element is described here once, by name (eg. "home.feed"), with a
+ * list of candidate strategies which are tried in order:
+ * - A string is a CSS selector
+ * - A function is given the element to search within, and returns
+ *   the element(s) it found (or null/false/an empty array)
+ *
+ * So when the site changes, this is the only file which needs
+ * updating. Bump SELECTOR_PROFILE_VERSION whenever it does, so that
+ * bug reports (and the degraded notice) say which profile was used.
+ *
+ * Elements which a page can't work without are marked as required
+ * for that page. A while after each page module starts, a self-check
+ * looks for them, logs what it found, and shows an in-page notice
+ * listing anything missing, rather than leaving the user wondering
+ * why nothing responds.
+ */
+
+
+// Version of the profile below
+const SELECTOR_PROFILE_VERSION = 2;
+
+// Every element CrunchyNav looks for. Each one has:
+// - description: What it is, as shown in the degraded notice
+// - candidates: Candidate strategies, tried in order (see above)
+// - required: Names of the page modules which can't work without it
+//   (optional)
+const SELECTOR_PROFILE = {
+
+	// The site as a whole
+
+	"app.body": {
+		description: "Page content",
+		candidates: ['.app-body-wrapper', '#content > div']
+	},
+
+	"header.bar": {
+		description: "Header bar",
+		candidates: ['.erc-large-header', '.erc-header', 'header']
+	},
+
+	// A single candidate, so that the items stay in document order
+	"header.item": {
+		description: "Header links",
+		candidates: [[
+			'a[href]',
+			'button:not([disabled])',
+			'[role="button"]'
+		].join(', ')]
+	},
+
+	"menu.popup": {
+		description: "Menus and dialogs",
+		candidates: [
+			'[role="dialog"]',
+			'[role="menu"]',
+			'[role="listbox"]',
+			'[aria-modal="true"]',
+			'.erc-modal',
+			'.dropdown-content'
+		]
+	},
+
+	// A single candidate, so that the items stay in document order
+	"menu.item": {
+		description: "Menu items",
+		candidates: [[
+			'button:not([disabled])',
+			'a[href]',
+			'input:not([type="hidden"])',
+			'[role="menuitem"]',
+			'[role="option"]',
+			'[role="checkbox"]',
+			'[tabindex]:not([tabindex="-1"])'
+		].join(', ')]
+	},
+
+	"menu.closeButton": {
+		description: "Menu close button",
+		candidates: [
+			'[data-t="close-button"]',
+			'[data-t="modal-close-button"]',
+			'button[aria-label*="close" i]'
+		]
+	},
+
+	"seriesLink": {
+		description: "Series links",
+		candidates: ['a[href*="/series/"]']
+	},
+
+	// The homepage
+
+	"home.feed": {
+		description: "Homepage feed",
+		required: ["home"],
+		candidates: ['.erc-feed', '[data-t="feed"]']
+	},
+
+	"home.dynamicFeed": {
+		description: "Homepage rows",
+		candidates: ['[class*="dynamic-feed-wrapper"]']
+	},
+
+	"home.rowTitle": {
+		description: "Row titles",
+		candidates: ['h1, h2, h3, h4']
+	},
+
+	"home.carouselCard": {
+		description: "Series cards",
+		candidates: ['[data-t="carousel-card-wrapper"]', '.carousel-card-wrapper']
+	},
+
+	"home.newsRow": {
+		description: "News rows",
+		candidates: ['[class*="news-and-editorial"]']
+	},
+
+	"home.gameRow": {
+		description: "Game rows",
+		candidates: ['[class*="game" i]']
+	},
+
+	"home.gameLink": {
+		description: "Game links",
+		candidates: ['a[href*="/games"]']
+	},
+
+	"hero.next": {
+		description: "Featured banner's next button",
+		candidates: [
+			'[data-t="hero-carousel-next-button"]',
+			'[data-t="hero-carousel-arrow-right"]',
+			'.hero-carousel__arrow--next',
+			'button[aria-label*="next" i]'
+		]
+	},
+
+	"hero.previous": {
+		description: "Featured banner's previous button",
+		candidates: [
+			'[data-t="hero-carousel-prev-button"]',
+			'[data-t="hero-carousel-arrow-left"]',
+			'.hero-carousel__arrow--prev',
+			'button[aria-label*="previous" i]'
+		]
+	},
+
+	// Used if there are no next/previous buttons
+	"hero.pagination": {
+		description: "Featured banner's page buttons",
+		candidates: [
+			'[data-t="hero-carousel-pagination"] button',
+			'.hero-carousel__pagination button'
+		]
+	},
+
+	"hero.link": {
+		description: "Featured banner's series link",
+		candidates: ['a[href*="/series/"]', 'a[href*="/watch/"]']
+	},
+
+	"hero.watchlist": {
+		description: "Featured banner's watchlist button",
+		candidates: [
+			'[data-t="watchlist-button"]',
+			'[data-t="add-to-watchlist"]',
+			'button[aria-label*="watchlist" i]'
+		]
+	},
+
+	// A card's details (see details.js)
+
+	"cardDetail.title": {
+		description: "Card titles",
+		candidates: ['[data-t="title"]', '.card-title', 'h4', 'h3']
+	},
+
+	"cardDetail.synopsis": {
+		description: "Card descriptions",
+		candidates: ['[data-t="description"]', '.card-description', '.description', 'p']
+	},
+
+	"cardDetail.rating": {
+		description: "Card ratings",
+		candidates: ['[data-t="rating"]', '.star-rating', '.rating']
+	},
+
+	"cardDetail.languages": {
+		description: "Card languages",
+		candidates: ['[data-t="meta-tags"]', '.meta-tags', '.card-meta']
+	},
+
+	"cardDetail.episodes": {
+		description: "Card episode counts",
+		candidates: ['[data-t="episode-count"]', '.episode-count', '[data-t="season-count"]']
+	},
+
+	"cardDetail.image": {
+		description: "Card images",
+		candidates: ['img[alt]']
+	},
+
+	"card.finishedBadge": {
+		description: "Fully watched badges",
+		candidates: ['[data-t="watched-badge"]', '.watched-badge', '[data-t="fully-watched"]']
+	},
+
+	// A full bar counts as finished
+	"card.progress": {
+		description: "Watch progress bars",
+		candidates: ['[data-t="progress-bar"] [style*="width"]', '.progress-bar__progress']
+	},
+
+	// The series page
+
+	"series.actionButtons": {
+		description: "Series page buttons",
+		required: ["series"],
+		candidates: ['.action-buttons', '[data-t="action-buttons"]']
+	},
+
+	"series.playButton": {
+		description: "Series page Play button",
+		required: ["series"],
+		candidates: ['.up-next-section-button', '[data-t="up-next-section-button"]']
+	},
+
+	"series.expandDescription": {
+		description: "Series description's \"more\" button",
+		candidates: ['[data-t=expandable-btn]']
+	},
+
+	"episodes.seasonNavigation": {
+		description: "Season picker",
+		candidates: ['.erc-season-with-navigation', '[data-t="season-navigation"]']
+	},
+
+	// Covers the dropdown as well as the previous/next season buttons
+	"episodes.seasonControl": {
+		description: "Season picker controls",
+		candidates: [
+			'[data-t="season-select"]',
+			'[data-t="prev-season"]',
+			'[data-t="next-season"]',
+			'.seasons-select [role="button"]',
+			'.season-navigation button'
+		]
+	},
+
+	"episodes.list": {
+		description: "Episode list",
+		candidates: ['.erc-playable-collection', '[data-t="episode-list"]']
+	},
+
+	"episodes.card": {
+		description: "Episode cards",
+		candidates: ['[data-t="episode-card"]', '.playable-card', '.card']
+	},
+
+	"episodes.link": {
+		description: "Episode links",
+		candidates: ['a[href*="/watch/"]', 'a']
+	},
+
+	// The search page
+
+	"search.input": {
+		description: "Search box",
+		required: ["search"],
+		candidates: [
+			'#content input[type="search"]',
+			'#content .search-input',
+			'#content input[type="text"]',
+			'input[type="search"]'
+		]
+	},
+
+	"search.results": {
+		description: "Search results",
+		candidates: ['[data-t="search-results"]', '.search-results', '.erc-search-results']
+	},
+
+	// If no cards are marked up as such, each distinct series link is
+	// used as a card
+	"search.resultCard": {
+		description: "Search result cards",
+		candidates: [
+			'[data-t="search-series-card"]',
+			'.search-show-card',
+			'.erc-search-result-item',
+			results => getDistinctSeriesLinks(results)
+		]
+	},
+
+	// Grid pages (see grid.js)
+
+	"grid.menuButton": {
+		description: "Cards' \"more options\" buttons",
+		candidates: [
+			'[data-t="more-options-button"]',
+			'[data-t="dropdown-trigger"]',
+			'button[aria-label*="more" i]',
+			'button[aria-haspopup]'
+		]
+	},
+
+	"grid.removeButton": {
+		description: "Cards' remove buttons",
+		candidates: ['[data-t="remove-button"]', 'button[aria-label*="remove" i]']
+	},
+
+	"grid.markWatchedButton": {
+		description: "Cards' \"mark as watched\" buttons",
+		candidates: ['button[aria-label*="mark as watched" i]']
+	},
+
+	"watchlist.card": {
+		description: "Watchlist cards",
+		candidates: [
+			'[data-t="watchlist-card"]',
+			'.watchlist-card',
+			'.erc-watchlist-collection .collection-item'
+		]
+	},
+
+	"watchlist.removeButton": {
+		description: "Watchlist remove buttons",
+		candidates: ['[data-t="watchlist-card-remove"]', 'button[aria-label*="remove" i]']
+	},
+
+	"crunchylists.card": {
+		description: "Crunchylist cards",
+		candidates: [
+			'[data-t="crunchylist-card"]',
+			'[data-t="custom-list-card"]',
+			'.erc-crunchylist-card',
+			'.collection-item'
+		]
+	},
+
+	"history.card": {
+		description: "Watch history cards",
+		candidates: [
+			'[data-t="history-card"]',
+			'.history-playable-card',
+			'.erc-history-collection .collection-item'
+		]
+	},
+
+	"browse.card": {
+		description: "Browse cards",
+		candidates: [
+			'[data-t="browse-card"]',
+			'[data-t="series-card"]',
+			'.browse-card',
+			'.erc-browse-cards-collection > div'
+		]
+	},
+
+	// Every match of every candidate is used
+	"browse.control": {
+		description: "Sort and filter dropdowns",
+		candidates: [
+			'[data-t="sort-dropdown"]',
+			'[data-t="filter-dropdown"]',
+			'.erc-browse-header [aria-haspopup]',
+			'.browse-header button'
+		]
+	},
+
+	// The profile picker
+
+	"profiles.picker": {
+		description: "Profile picker",
+		required: ["profiles"],
+		candidates: ['[data-t="profile-selection"]', '.erc-profile-selection', '.profiles-page']
+	},
+
+	"profiles.item": {
+		description: "Profiles",
+		candidates: ['[data-t="profile-card"]', '.erc-profile-item', '.profile-item']
+	},
+
+	"profiles.manage": {
+		description: "\"Manage profiles\" button",
+		candidates: [
+			'[data-t="manage-profiles-button"]',
+			'a[href*="/profiles/manage"]',
+			'button[aria-label*="manage" i]'
+		]
+	},
+
+	// The video player
+
+	"player.frame": {
+		description: "Video player",
+		required: ["player"],
+		candidates: ['iframe.video-player', 'iframe[src*="vilos"]', 'iframe[allow*="fullscreen"]']
+	},
+
+	"player.video": {
+		description: "Video",
+		candidates: ['video']
+	},
+
+	// Covers the recap and credits buttons too
+	"player.skipButton": {
+		description: "Skip intro button",
+		candidates: [
+			'[data-testid="skipButton"]',
+			'[data-testid="skipIntroText"]',
+			'.skip-button',
+			'button[aria-label*="skip" i]'
+		]
+	},
+
+	"player.nextEpisode": {
+		description: "Next episode link",
+		candidates: [
+			'[data-t="next-episode"] a',
+			'.erc-prev-next-episode[data-t="next-episode"] a',
+			'a[data-t="next-episode"]'
+		]
+	}
+
+};
+
+// How long a page module has to find its required elements before
+// the self-check runs, in milliseconds
+const SELECTOR_SELF_CHECK_DELAY = 10000;
+
+// ID of the degraded notice element
+const DEGRADED_NOTICE_ID = "crunchynav-degraded";
+
+// Descriptions of everything listed in the degraded notice
+var degradedElements = [];
+
+/**
+ * Retrieve the candidate strategies for an element.
+ *
+ * @param {String} name The element's name in the profile
+ * @returns Array of candidates
+ */
+function getSelectorCandidates(name){
+	const entry = SELECTOR_PROFILE[name];
+	if (!entry){
+		throw new Error("CrunchyNav: Unknown selector profile entry " + name);
+	}
+	return entry.candidates;
+}
+
+/**
+ * Run one candidate strategy.
+ *
+ * @param {String|Function} candidate The candidate
+ * @param {Element|Document} root The element to search within
+ * @returns Array of matching elements (possibly empty)
+ */
+function runSelectorCandidate(candidate, root){
+
+	if (typeof candidate == "string"){
+		return Array.from(root.querySelectorAll(candidate));
+	}
+
+	const result = candidate(root);
+	if (!result){
+		return [];
+	}
+	return Array.isArray(result) ? result : [result];
+
+}
+
+/**
+ * Find an element, trying each candidate in order.
+ *
+ * @param {String} name The element's name in the profile
+ * @param {Element|Document} root The element to search within
+ * (optional, defaults to the whole document)
+ * @param {Function} filter Only elements which this returns true for
+ * count (optional)
+ * @returns The first match, or false if nothing matches
+ */
+function findElement(name, root = document, filter = () => true){
+	for (const candidate of getSelectorCandidates(name)){
+		const match = runSelectorCandidate(candidate, root).find(filter);
+		if (match){
+			return match;
+		}
+	}
+	return false;
+}
+
+/**
+ * Find every instance of an element, using the first candidate
+ * which matches anything.
+ *
+ * @param {String} name The element's name in the profile
+ * @param {Element|Document} root The element to search within
+ * (optional, defaults to the whole document)
+ * @param {Function} filter Only elements which this returns true for
+ * count (optional)
+ * @returns Array of matches (possibly empty)
+ */
+function findElements(name, root = document, filter = () => true){
+	for (const candidate of getSelectorCandidates(name)){
+		const matches = runSelectorCandidate(candidate, root).filter(filter);
+		if (matches.length > 0){
+			return matches;
+		}
+	}
+	return [];
+}
+
+/**
+ * Find every match of every candidate, for elements which can be
+ * marked up in several ways on the same page (eg. a dropdown next to
+ * a couple of buttons).
+ *
+ * @param {String} name The element's name in the profile
+ * @param {Element|Document} root The element to search within
+ * (optional, defaults to the whole document)
+ * @param {Function} filter Only elements which this returns true for
+ * count (optional)
+ * @returns Array of matches without duplicates, grouped by candidate
+ */
+function collectElements(name, root = document, filter = () => true){
+	const matches = [];
+	for (const candidate of getSelectorCandidates(name)){
+		for (const elem of runSelectorCandidate(candidate, root)){
+			if (!matches.includes(elem) && filter(elem)){
+				matches.push(elem);
+			}
+		}
+	}
+	return matches;
+}
+
+/**
+ * Checks whether an element is an instance of the given one.
+ *
+ * Only CSS selector candidates are checked.
+ *
+ * @param {String} name The element's name in the profile
+ * @param {Element} elem The element to check
+ * @returns True if any of the candidate selectors match it
+ */
+function matchesElement(name, elem){
+	return getSelectorCandidates(name).some(candidate =>
+		typeof candidate == "string" && elem.matches(candidate)
+	);
+}
+
+/**
+ * Show the degraded notice, listing everything which couldn't be
+ * found so far on this page.
+ */
+function renderDegradedNotice(){
+
+	let notice = document.getElementById(DEGRADED_NOTICE_ID);
+	if (notice == null){
+		notice = document.createElement("div");
+		notice.id = DEGRADED_NOTICE_ID;
+		notice.setAttribute("role", "status");
+		document.body.appendChild(notice);
+	}
+
+	const heading = document.createElement("strong");
+	heading.textContent = "CrunchyNav is degraded";
+
+	const explanation = document.createElement("div");
+	explanation.textContent = "The site seems to have changed, so some controls may not work. " +
+		"Couldn't find: " + degradedElements.join(", ") + ".";
+
+	const version = document.createElement("div");
+	version.className = "crunchynav-degraded-version";
+	version.textContent = "Selector profile v" + SELECTOR_PROFILE_VERSION;
+
+	notice.replaceChildren(heading, explanation, version);
+
+}
+
+/**
+ * Remove the degraded notice, when leaving the page.
+ */
+function removeDegradedNotice(){
+
+	degradedElements = [];
+
+	const notice = document.getElementById(DEGRADED_NOTICE_ID);
+	if (notice){
+		notice.remove();
+	}
+
+}
+
+/**
+ * Report that elements the page relies on couldn't be found, by
+ * adding them to the degraded notice.
+ *
+ * @param {String[]} names The elements' names in the profile
+ */
+function reportMissingElements(names){
+
+	const descriptions = names
+		.map(name => SELECTOR_PROFILE[name].description)
+		.filter(description => !degradedElements.includes(description));
+	if (descriptions.length == 0){
+		return;
+	}
+
+	if (degradedElements.length == 0){
+		onPageTeardown(removeDegradedNotice);
+	}
+
+	degradedElements.push(...descriptions);
+	renderDegradedNotice();
+
+}
+
+/**
+ * Look for every element which the given page module requires, and
+ * report anything missing.
+ *
+ * @param {String} pageName The page module's name
+ * @returns Names of the missing elements (possibly empty)
+ */
+function runSelectorSelfCheck(pageName){
+
+	const missing = [];
+	for (const name in SELECTOR_PROFILE){
+		const required = SELECTOR_PROFILE[name].required || [];
+		if (required.includes(pageName) && findElement(name) == false){
+			missing.push(name);
+		}
+	}
+
+	if (missing.length > 0){
+		console.error("CrunchyNav: Self-check for " + pageName + " failed. Missing: " + missing.join(", "));
+		reportMissingElements(missing);
+	}
+
+	return missing;
+
+}
+
+/**
+ * Run the self-check for the given page module once it has had time
+ * to load, unless the page is torn down first.
+ *
+ * The self-check only runs on the site's own pages, since the player
+ * iframe's elements are checked from the watch page around it.
+ * Page modules can skip it (see router.js), eg. while showing
+ * something else in place of the page.
+ *
+ * @param {Object} module The page module
+ */
+function scheduleSelectorSelfCheck(module){
+
+	if (window.top != window){
+		return;
+	}
+
+	const timeout = setTimeout(() => {
+		if (!module.skipSelfCheck || !module.skipSelfCheck()){
+			runSelectorSelfCheck(module.name);
+		}
+	}, SELECTOR_SELF_CHECK_DELAY);
+
+	onPageTeardown(() => clearTimeout(timeout));
+
+}
@@ -1,141 +1,400 @@
-var selectedButton = -1;
+// Class given to the copy of the Play button which is added to the
+// action buttons. The copy loses the site's own class and data-t, so
+// that "series.playButton" (see selectors.js) still only finds the
+// original, and the site's styling and click handling leave it alone.
+const PLAY_BUTTON_CLONE_CLASS = 'crunchynav-play-button-clone';
+
+// The currently highlighted element, or false if nothing has
+// been highlighted yet.
+// This is either one of the action buttons, one of the season
+// picker's controls, or an episode card.
+var selectedButton = false;
+
+// Focus state saved the last time the series page was left (see
+// history.js), waiting for its episode to load.
+// False if there's nothing waiting to be restored.
+var pendingSeriesFocusRestore = false;
 
 function getActionButtons(){
-    const actionButtonsDiv = document.body.getElementsByClassName("action-buttons");
-    if (actionButtonsDiv.length == 1){
-        return actionButtonsDiv[0].children;
+    const actionButtonsDiv = findElement("series.actionButtons");
+    if (actionButtonsDiv){
+        return actionButtonsDiv.children;
     }else{
         return false;
     }
 }
 
 /**
- * Move one button to the left
- * @returns 
+ * Retrieve the focus regions of the page, in order from top to bottom.
+ *
+ * - the action buttons (play, watchlist, etc.)
+ * - the season picker
+ * - the episode list
+ *
+ * Regions which couldn't be found are left out.
+ *
+ * @returns Array of region container elements
  */
-function previousButton(e){
+function getFocusRegions(){
+
+    const regions = [];
+
+    const actionButtonsDiv = findElement("series.actionButtons");
+    if (actionButtonsDiv){
+        regions.push(actionButtonsDiv);
+    }
+
+    const seasonNavigation = getSeasonNavigation();
+    if (seasonNavigation){
+        regions.push(seasonNavigation);
+    }
+
+    const episodeList = getEpisodeList();
+    if (episodeList){
+        regions.push(episodeList);
+    }
+
+    return regions;
+
+}
+
+/**
+ * Retrieve the elements which can be highlighted within a region.
+ *
+ * The episode list sits inside the season picker's div, so the
+ * season picker only counts its own controls.
+ */
+function getRegionCandidates(region){
+
+    if (region == getEpisodeList()){
+        return getEpisodeCards();
+    }
+
+    if (region == getSeasonNavigation()){
+        return getSeasonControls();
+    }
+
+    return region.children;
+
+}
+
+/**
+ * Highlight the given element, removing the highlight from
+ * whichever element was highlighted before.
+ */
+function highlightButton(e, button){
+
+    drawCardHighlight(selectedButton, button);
+    selectedButton = button;
+    scrollToFocus(button);
+    saveSeriesFocusState(button);
+
+    e.preventDefault();
+
+}
+
+/**
+ * Save which button or episode is highlighted, so that it can be
+ * highlighted again after watching an episode and coming back.
+ *
+ * Episodes are identified by their link, and action buttons by
+ * their position. Season controls aren't saved, since the season
+ * picker doesn't stay open anyway.
+ */
+function saveSeriesFocusState(button){
 
-    if (selectedButton == 0){
+    if (isEpisodeCard(button)){
+        const anchor = button.querySelector('a[href]');
+        if (anchor){
+            saveFocusState({ episode: anchor.href });
+        }
         return;
     }
 
-    const buttons = getActionButtons();
-    if (buttons == false){
+    const actionButtons = Array.from(getActionButtons() || []);
+    const index = actionButtons.indexOf(button);
+    if (index != -1){
+        saveFocusState({ button: index });
+    }
+
+}
+
+/**
+ * Highlight whichever button or episode was highlighted when the
+ * series page was last left.
+ *
+ * The episodes are loaded separately from the rest of the page, so
+ * this is tried again whenever the episode list changes, until
+ * either it works or the user highlights something else.
+ */
+function restoreSeriesFocusState(){
+
+    if (pendingSeriesFocusRestore == false){
         return;
     }
 
-    if (selectedButton == -1)
-        selectedButton = 1;
-    else
-        buttons[selectedButton].classList.remove('active');
+    const state = pendingSeriesFocusRestore;
+    let button = false;
+
+    if (state.episode){
+        button = getEpisodeCards().find(card => {
+            const anchor = card.querySelector('a[href]');
+            return anchor && anchor.href == state.episode;
+        }) || false;
+    }else if (typeof state.button == "number"){
+        const actionButtons = getActionButtons();
+        button = (actionButtons && actionButtons[state.button]) || false;
+    }
 
-    selectedButton--;
+    if (button){
+        pendingSeriesFocusRestore = false;
+        highlightButton({ preventDefault: () => {} }, button);
+    }
 
-    buttons[selectedButton].classList.add('active');
+}
 
-    e.preventDefault();
+/**
+ * Move the highlight one step in the given direction, using the
+ * spatial navigation engine (see spatialNav.js).
+ *
+ * Moving down from the action buttons goes straight to the episodes,
+ * since that's what the user usually wants. The season picker can
+ * be reached by moving up from the episodes instead.
+ *
+ * If nothing is highlighted yet, the first button is highlighted.
+ */
+function moveButtonHighlight(e, direction){
+
+    // The user has moved on, so don't jump back to the episode which
+    // was highlighted last time once it loads
+    pendingSeriesFocusRestore = false;
+
+    let regions = getFocusRegions();
+    if (regions.length == 0){
+        return;
+    }
+
+    const actionButtons = getActionButtons();
+    const isOnActionButtons = actionButtons != false &&
+        Array.from(actionButtons).includes(selectedButton);
+    if (isOnActionButtons && direction == "down" && getEpisodeCards().length > 0){
+        regions = regions.filter(region => region != getSeasonNavigation());
+    }
+
+    const button = findSpatialFocus(selectedButton, direction, {
+        containers: regions,
+        getCandidates: getRegionCandidates
+    });
+    if (button == false){
+        return;
+    }
 
+    highlightButton(e, button);
+
+}
+
+/**
+ * Move one button to the left
+ */
+function previousButton(e){
+    moveButtonHighlight(e, "left");
 }
 
+/**
+ * Move one button to the right
+ */
 function nextButton(e){
+    moveButtonHighlight(e, "right");
+}
 
-    const buttons = getActionButtons();
-    if (buttons == false){
+/**
+ * Move up, eg. from the episodes to the season picker
+ */
+function previousRegion(e){
+    moveButtonHighlight(e, "up");
+}
+
+/**
+ * Move down, eg. from the action buttons to the episodes
+ */
+function nextRegion(e){
+    moveButtonHighlight(e, "down");
+}
+
+function submitButton(e){
+
+    if (selectedButton == false){
         return;
     }
 
-    if (selectedButton == buttons.length - 1){
+    // Episodes are played straight away
+    if (isEpisodeCard(selectedButton)){
+        playEpisode(e, selectedButton);
         return;
     }
 
-    if (selectedButton != -1)
-        buttons[selectedButton].classList.remove('active');
-    
-    selectedButton++;
+    // The season picker's controls just need clicking.
+    // Changing season is picked up by the episode observer.
+    if (getSeasonControls().includes(selectedButton)){
+        selectedButton.click();
+        e.preventDefault();
+        return;
+    }
 
-    buttons[selectedButton].classList.add('active');
+    // The cloned Play button lost its data-t attribute (and with it
+    // the site's click handling), so forward the click to the original
+    if (selectedButton.classList.contains(PLAY_BUTTON_CLONE_CLASS)){
+        const playButton = findElement("series.playButton");
+        if (playButton){
+            getClickTarget(playButton).click();
+            e.preventDefault();
+        }
+        return;
+    }
 
+    // Everything else (watchlist, Crunchylist, share) is clicked directly.
+    // Any menu or dialog which that opens is handled by menus.js
+    getClickTarget(selectedButton).click();
     e.preventDefault();
 
 }
 
-function submitButton(e){
+/**
+ * Retrieve the element which should actually be clicked to activate
+ * the given control.
+ *
+ * Some of the action buttons are wrappers around the real button,
+ * and clicking the wrapper does nothing.
+ */
+function getClickTarget(elem){
 
-    if (selectedButton == -1){
-        return;
+    if (elem.matches('button, a[href], [role="button"]')){
+        return elem;
+    }
+
+    const target = elem.querySelector('button, a[href], [role="button"]');
+    if (target){
+        return target;
     }
 
-    // TODO button click
+    return elem;
+
 }
 
 /**
- * Add a DOM event listener to trigger events on keypress.
- * 
- * This function is responsible for performing actions based
- * on which key the user presses.
+ * Called whenever the episode list changes, eg. after changing season.
+ *
+ * If the highlighted episode was removed along with the old season's
+ * episodes, the highlight moves to the first episode of the new season.
  */
-function initiateKeypressObserver(){
-
-	document.addEventListener("keydown", e => {
-		if (e.code == "ArrowLeft"){
-			previousButton(e);
-		}else if (e.code == "ArrowRight"){
-			nextButton(e);
-		}else if (e.code == "Enter"){
-			submitButton(e);
-		}else if (e.code == "Backspace"){
-            // TODO history.back instead?
-            location.href = "https://www.crunchyroll.com";
-        }
-	});
+function rescanEpisodes(){
+
+    restoreSeriesFocusState();
+
+    if (selectedButton == false || document.body.contains(selectedButton)){
+        return;
+    }
+
+    selectedButton = false;
+
+    const episodes = getEpisodeCards();
+    if (episodes.length > 0){
+        highlightButton({ preventDefault: () => {} }, episodes[0]);
+    }
 
 }
 
-function init(){
+/**
+ * Retrieve the functions which should run for each logical action.
+ *
+ * Left/right (and previous/next) cycle through the buttons or
+ * episodes, up/down move between the action buttons, season picker
+ * and episodes, select presses the highlighted button and back
+ * goes back.
+ *
+ * While a menu or dialog opened by one of the buttons is open, the
+ * actions go to that instead (see menus.js).
+ *
+ * @returns Map of action names to handler functions
+ */
+function getSeriesActionHandlers(){
+    return withMenuHandlers({
+        up: previousRegion,
+        down: nextRegion,
+        left: previousButton,
+        right: nextButton,
+        previous: previousButton,
+        next: nextButton,
+        select: submitButton,
+        back: navigateBack
+    });
+}
 
-    const actionButtons = getActionButtons();
-    if (actionButtons == false){
+/**
+ * Sets up the series page once it has loaded.
+ */
+function initSeriesPage(){
+
+    const actionButtonsDiv = findElement("series.actionButtons");
+    if (actionButtonsDiv == false){
         console.error("CrunchyNav: Action buttons not found. Aborting");
+        reportMissingElements(["series.actionButtons"]);
         return;
     }
 
-    const playButton = document.body.getElementsByClassName("up-next-section-button");
-    if (playButton.length != 1){
+    const playButton = findElement("series.playButton");
+    if (playButton == false){
         console.error("CrunchyNav: Play button not found. Aborting");
+        reportMissingElements(["series.playButton"]);
         return;
     }
 
     // Clone the Play button into the actions-buttons div where the other buttons reside.
-    const actionButtonsDiv = document.body.getElementsByClassName("action-buttons");
-    const newPlayButton = playButton[0].cloneNode(true);
+    const newPlayButton = playButton.cloneNode(true);
     newPlayButton.removeAttribute('data-t');
     newPlayButton.classList.remove('up-next-section-button');
-    newPlayButton.classList.add('up-next-section-button-clone');
-    actionButtonsDiv[0].prepend(newPlayButton);
+    newPlayButton.classList.add(PLAY_BUTTON_CLONE_CLASS);
+    actionButtonsDiv.prepend(newPlayButton);
+
+    // The site can reuse the same elements for the next series it
+    // shows, so take the clone out again when leaving the page.
+    // Otherwise each series visited would add another one.
+    onPageTeardown(() => newPlayButton.remove());
 
     // Expand the description
-    document.querySelector("[data-t=expandable-btn]").click();
+    const expandButton = findElement("series.expandDescription");
+    if (expandButton){
+        expandButton.click();
+    }
 
-    initiateKeypressObserver();
+    initiateEpisodeObserver(rescanEpisodes);
+    initKeyboardObserver(getSeriesActionHandlers());
+    initGamepadObserver(getSeriesActionHandlers());
+
+    // Highlight whichever button or episode was highlighted when
+    // the series page was last left
+    pendingSeriesFocusRestore = loadFocusState();
+    restoreSeriesFocusState();
     
 }
 
 /**
- * Wait for the "up next" section to load before running the
- * rest of the initialization logic.
+ * Checks whether the "up next" section (and with it, the Play button
+ * and the action buttons) has loaded, so that the rest of the
+ * initialization logic can run.
  */
-function waitForThumbnail(){
-    
-    const upNext = document.body.getElementsByClassName("up-next-section");
-
-    observeElement(upNext[0], () => {
-        init();
-    });
-
+function isSeriesPageLoaded(){
+    return findElement("series.playButton") != false && getActionButtons() != false;
 }
 
-console.log("Loading extension series.js");
-
-initPageLoadObserver(() => {
-    waitForThumbnail();
+registerPageModule({
+    name: "series",
+    matches: url => getRoutePath(url).startsWith("/series/"),
+    start: () => {
+        waitForElement(isSeriesPageLoaded, initSeriesPage);
+    },
+    stop: () => {
+        selectedButton = false;
+        pendingSeriesFocusRestore = false;
+    }
 });
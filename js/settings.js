@@ -0,0 +1,201 @@
+/**
+ * User settings for CrunchyNav.
+ *
+ * Settings are kept in the browser's synced extension storage,
+ * so they follow the user between devices.
+ *
+ * This file is shared between the content scripts and the options
+ * page. The content scripts only read the settings, while the
+ * options page also writes them.
+ */
+
+
+// Firefox exposes the promise-based WebExtension API as `browser`,
+// while Chromium based browsers only expose `chrome`.
+const extensionApi = (typeof browser != "undefined") ? browser : chrome;
+
+// The default settings, used for anything the user hasn't changed.
+const DEFAULT_SETTINGS = {
+
+	// Map of logical action names to the keys which trigger them.
+	// Each action can have any number of keys.
+	// Keys are identified by KeyboardEvent.code where possible.
+	// See getKeyNames() in keyboard.js for details.
+	// The defaults leave WASD free, so that it can be used for
+	// movement without clashing with anything.
+	keyBindings: {
+		up: ["ArrowUp"],
+		down: ["ArrowDown"],
+		left: ["ArrowLeft"],
+		right: ["ArrowRight"],
+		select: ["Enter"],
+		back: ["Backspace"],
+		secondary: ["Space"],
+		tertiary: ["KeyM"],
+		previous: ["Comma"],
+		next: ["Period"],
+		pageUp: ["PageUp"],
+		pageDown: ["PageDown"],
+		first: ["Home"],
+		last: ["End"],
+		quickJump: ["KeyJ"],
+		playPause: ["KeyK", "MediaPlayPause"],
+		fullscreen: ["KeyF"],
+		subtitles: ["KeyC"],
+		audio: ["KeyL"],
+		skipIntro: ["KeyI"],
+		nextEpisode: ["KeyN", "MediaTrackNext"]
+	},
+
+	// Which card to highlight when moving up or down into a row.
+	// One of "remember" (the card last highlighted in that row),
+	// "nearest" (the card most closely aligned with the current one)
+	// or "first" (always the first card).
+	rowEntryMode: "remember",
+
+	// How long a direction needs to be held before it starts
+	// repeating, and how often it repeats at first. Both in
+	// milliseconds. Repeats speed up the longer it's held (see
+	// getRepeatInterval() in keyboard.js).
+	repeatDelay: 400,
+	repeatRate: 150,
+
+	// Whether the "hero" carousel at the top of the homepage is
+	// navigable ("show") or hidden altogether ("hide").
+	heroBanner: "show",
+
+	// Whether the panel showing the highlighted card's synopsis,
+	// rating, etc. is shown ("show") or not ("hide").
+	detailsPanel: "show",
+
+	// The user's own rules for the homepage feed (see feedRules.js).
+	// Each pattern is matched against part of a row's title (or a
+	// series' title or link), or is a /regular expression/.
+	hiddenRows: [],
+	pinnedRows: [],
+	blockedSeries: [],
+
+	// Whether to hide the cards of series which have been finished
+	hideFinishedSeries: false,
+
+	// How the highlighted card is drawn (see focusRing.js).
+	// The colour is any CSS colour, the thickness is in pixels, and
+	// the scale is how much the card grows by (1 for not at all).
+	// Motion is "auto" (animate unless the system asks for reduced
+	// motion) or "reduce" (never animate).
+	focusColor: "#ffffff",
+	focusThickness: 3,
+	focusScale: 1.05,
+	focusGlow: true,
+	focusMotion: "auto"
+
+};
+
+// The current settings.
+// These start out as the defaults, and are replaced once the
+// stored settings have been loaded.
+var settings = copySettings(DEFAULT_SETTINGS);
+
+// Functions to call whenever the settings change.
+var settingsChangeListeners = [];
+
+/**
+ * Creates a deep copy of a settings object, so that the defaults
+ * can't be modified by accident.
+ *
+ * @param {Object} source Settings to copy
+ * @returns A copy of `source`
+ */
+function copySettings(source){
+	return JSON.parse(JSON.stringify(source));
+}
+
+/**
+ * Merges stored settings on top of the defaults.
+ *
+ * Settings saved by an older version of the extension won't have
+ * values for newer settings or actions, so those fall back to
+ * their defaults.
+ *
+ * @param {Object} stored Settings retrieved from storage
+ * @returns A complete settings object
+ */
+function mergeSettings(stored){
+
+	const merged = copySettings(DEFAULT_SETTINGS);
+
+	for (const key in stored){
+		const value = stored[key];
+		const isObject = value != null && typeof value == "object" && !Array.isArray(value);
+		if (isObject && merged[key] != null && typeof merged[key] == "object"){
+			Object.assign(merged[key], value);
+		}else{
+			merged[key] = value;
+		}
+	}
+
+	return merged;
+
+}
+
+/**
+ * Loads the settings from storage.
+ *
+ * @returns A promise which resolves to the complete settings object
+ */
+function loadSettings(){
+	return extensionApi.storage.sync.get(null).then(stored => {
+		return mergeSettings(stored);
+	});
+}
+
+/**
+ * Saves the given settings to storage.
+ *
+ * @param {Object} newSettings Settings to save
+ * @returns A promise which resolves once the settings are saved
+ */
+function saveSettings(newSettings){
+	return extensionApi.storage.sync.set(newSettings);
+}
+
+/**
+ * Registers a function to call whenever the settings change.
+ *
+ * The function is also called once the stored settings have
+ * been loaded for the first time.
+ *
+ * @param {Function} callback Called with the new settings object
+ * @returns A function which unregisters the callback again
+ */
+function onSettingsChanged(callback){
+	settingsChangeListeners.push(callback);
+	return () => {
+		settingsChangeListeners = settingsChangeListeners.filter(listener => listener != callback);
+	};
+}
+
+/**
+ * Loads the stored settings into `settings`, then keeps them
+ * up to date whenever they're changed from the options page.
+ */
+function initSettings(){
+
+	const refresh = () => {
+		loadSettings().then(loaded => {
+			settings = loaded;
+			settingsChangeListeners.forEach(listener => listener(settings));
+		}).catch(error => {
+			console.error("CrunchyNav: Failed to load settings. Using defaults", error);
+		});
+	};
+
+	extensionApi.storage.onChanged.addListener((changes, areaName) => {
+		if (areaName == "sync"){
+			refresh();
+		}
+	});
+
+	refresh();
+
+}
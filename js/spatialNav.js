@@ -0,0 +1,292 @@
+/**
+ * Geometry-based ("spatial") navigation for CrunchyNav.
+ *
+ * Instead of moving focus by DOM index (row 2, column 5), this
+ * picks whichever element is visually closest in the direction
+ * the user pressed.
+ *
+ * This copes with rows of different shapes, such as banners,
+ * grids or the site header, since it only cares about where
+ * things are drawn on the screen.
+ *
+ * Elements can optionally be grouped into focus containers
+ * (eg. one container per row). Focus then stays within the
+ * current container for as long as it can, and only moves to
+ * another container once it reaches the container's edge.
+ *
+ * All of the geometry comes from getBoundingClientRect(), so the
+ * functions in this file can be tested in jsdom by stubbing that
+ * function on each element.
+ */
+
+
+// Elements can share a border or overlap slightly (eg. due to
+// margins or a focus outline) and still be considered to be
+// next to each other. In pixels.
+const SPATIAL_EDGE_TOLERANCE = 2;
+
+// How much being out of line with the current element counts
+// against a candidate, compared with being further away.
+// Higher values favor elements which are directly in line.
+const SPATIAL_ORTHOGONAL_WEIGHT = 2;
+
+// How much overlapping with the current element (on the axis
+// perpendicular to the direction of travel) counts in favor of
+// a candidate.
+const SPATIAL_OVERLAP_WEIGHT = 0.5;
+
+/**
+ * Checks whether an element is currently drawn on the page.
+ *
+ * Hidden elements (display: none) have an empty bounding rect,
+ * so they're skipped.
+ *
+ * @param {Element} elem The element to check
+ * @returns True if focus can move to the element
+ */
+function isSpatiallyNavigable(elem){
+	const rect = elem.getBoundingClientRect();
+	return rect.width > 0 && rect.height > 0;
+}
+
+/**
+ * Checks whether `to` lies in the given direction from `from`.
+ *
+ * @param {DOMRect} from Rect of the currently focused element
+ * @param {DOMRect} to Rect of the candidate element
+ * @param {String} direction One of up, down, left or right
+ * @returns True if `to` is in that direction
+ */
+function isInDirection(from, to, direction){
+	switch (direction){
+		case "up":
+			return to.bottom <= from.top + SPATIAL_EDGE_TOLERANCE;
+		case "down":
+			return to.top >= from.bottom - SPATIAL_EDGE_TOLERANCE;
+		case "left":
+			return to.right <= from.left + SPATIAL_EDGE_TOLERANCE;
+		case "right":
+			return to.left >= from.right - SPATIAL_EDGE_TOLERANCE;
+		default:
+			return false;
+	}
+}
+
+/**
+ * Scores how good a candidate is for moving focus in the given
+ * direction. Lower scores are better.
+ *
+ * The score is made up of:
+ * - the gap between the two elements in the direction of travel
+ * - how far out of line the candidate is (weighted)
+ * - minus how much the two elements overlap side by side (weighted)
+ *
+ * @param {DOMRect} from Rect of the currently focused element
+ * @param {DOMRect} to Rect of the candidate element
+ * @param {String} direction One of up, down, left or right
+ * @returns The score
+ */
+function getSpatialScore(from, to, direction){
+
+	const isVertical = direction == "up" || direction == "down";
+
+	// Distance in the direction of travel
+	let gap;
+	switch (direction){
+		case "up":
+			gap = from.top - to.bottom;
+			break;
+		case "down":
+			gap = to.top - from.bottom;
+			break;
+		case "left":
+			gap = from.left - to.right;
+			break;
+		default:
+			gap = to.left - from.right;
+	}
+	gap = Math.max(gap, 0);
+
+	// How much the two elements overlap, and how far apart they are
+	// if they don't, on the perpendicular axis.
+	let overlap;
+	let offset;
+	if (isVertical){
+		overlap = Math.min(from.right, to.right) - Math.max(from.left, to.left);
+		offset = Math.max(to.left - from.right, from.left - to.right, 0);
+	}else{
+		overlap = Math.min(from.bottom, to.bottom) - Math.max(from.top, to.top);
+		offset = Math.max(to.top - from.bottom, from.top - to.bottom, 0);
+	}
+	overlap = Math.max(overlap, 0);
+
+	return gap + (offset * SPATIAL_ORTHOGONAL_WEIGHT) - (overlap * SPATIAL_OVERLAP_WEIGHT);
+
+}
+
+/**
+ * Sorts candidates by how good they are for moving focus from
+ * `current` in the given direction.
+ *
+ * Candidates which aren't in that direction, or aren't visible,
+ * are left out.
+ *
+ * @param {Element} current The currently focused element
+ * @param {String} direction One of up, down, left or right
+ * @param {Element[]} candidates Elements focus could move to
+ * @returns The remaining candidates, best first
+ */
+function rankSpatialCandidates(current, direction, candidates){
+
+	const from = current.getBoundingClientRect();
+
+	return Array.from(candidates)
+		.filter(candidate => candidate != current && isSpatiallyNavigable(candidate))
+		.map(candidate => {
+			const to = candidate.getBoundingClientRect();
+			return {
+				element: candidate,
+				inDirection: isInDirection(from, to, direction),
+				score: getSpatialScore(from, to, direction)
+			};
+		})
+		.filter(ranked => ranked.inDirection)
+		.sort((a, b) => a.score - b.score)
+		.map(ranked => ranked.element);
+
+}
+
+/**
+ * Finds the closest candidate in the given direction.
+ *
+ * @param {Element} current The currently focused element
+ * @param {String} direction One of up, down, left or right
+ * @param {Element[]} candidates Elements focus could move to
+ * @returns The closest candidate, or false if there isn't one
+ */
+function findNearestInDirection(current, direction, candidates){
+	const ranked = rankSpatialCandidates(current, direction, candidates);
+	if (ranked.length == 0){
+		return false;
+	}
+	return ranked[0];
+}
+
+/**
+ * Default behavior when focus moves into a new container.
+ *
+ * Picks the candidate closest to the previously focused element,
+ * or the first candidate if nothing was focused.
+ *
+ * @param {Element} container The container being entered
+ * @param {Element[]} candidates Visible candidates within the container
+ * @param {Element|false} current The previously focused element
+ * @param {String} direction One of up, down, left or right
+ * @returns The element to focus
+ */
+function enterNearestInContainer(container, candidates, current, direction){
+	if (current){
+		const nearest = findNearestInDirection(current, direction, candidates);
+		if (nearest){
+			return nearest;
+		}
+	}
+	return candidates[0];
+}
+
+/**
+ * Retrieves the visible candidates within a container.
+ *
+ * @param {Element} container The container
+ * @param {Function} getCandidates Returns the candidates for a container
+ * @returns Array of visible candidates
+ */
+function getContainerCandidates(container, getCandidates){
+	const candidates = getCandidates(container);
+	if (candidates == false || candidates == null){
+		return [];
+	}
+	return Array.from(candidates).filter(isSpatiallyNavigable);
+}
+
+/**
+ * Finds the element which focus should move to when the user
+ * presses a direction.
+ *
+ * Without containers, this simply picks the closest candidate in
+ * that direction.
+ *
+ * With containers, focus first tries to stay within the current
+ * (innermost) container. If it can't, it moves to the closest container in
+ * that direction which has something to focus, and
+ * `options.enterContainer` decides which element within it.
+ *
+ * If nothing is currently focused, the first candidate (of the
+ * first non-empty container) is returned.
+ *
+ * @param {Element|false} current The currently focused element, if any
+ * @param {String} direction One of up, down, left or right
+ * @param {Object} options
+ * - candidates: Elements focus could move to. Used without containers.
+ * - containers: Focus containers, in order (optional).
+ * - getCandidates: Function returning the candidates in a container.
+ *   Required when using containers.
+ * - enterContainer: Function(container, candidates, current, direction)
+ *   returning the element to focus when entering a container.
+ *   Defaults to enterNearestInContainer().
+ * @returns The element to focus, or false if focus can't move
+ */
+function findSpatialFocus(current, direction, options){
+
+	const containers = options.containers;
+
+	// No containers, so just search the flat list of candidates
+	if (!containers){
+		const candidates = Array.from(options.candidates).filter(isSpatiallyNavigable);
+		if (!current){
+			return candidates.length > 0 ? candidates[0] : false;
+		}
+		return findNearestInDirection(current, direction, candidates);
+	}
+
+	const enterContainer = options.enterContainer || enterNearestInContainer;
+
+	// Nothing focused yet, so enter the first container which has
+	// something in it
+	if (!current){
+		for (const container of containers){
+			const candidates = getContainerCandidates(container, options.getCandidates);
+			if (candidates.length > 0){
+				return enterContainer(container, candidates, false, direction);
+			}
+		}
+		return false;
+	}
+
+	// Try to stay within the current container.
+	// Containers can be nested, in which case the innermost one counts.
+	const containing = Array.from(containers).filter(container => container.contains(current));
+	const currentContainer = containing.find(container =>
+		!containing.some(other => other != container && container.contains(other))
+	);
+	if (currentContainer){
+		const candidates = getContainerCandidates(currentContainer, options.getCandidates);
+		const next = findNearestInDirection(current, direction, candidates);
+		if (next){
+			return next;
+		}
+	}
+
+	// Otherwise move to the closest container in that direction.
+	// Containers with nothing visible in them are skipped over.
+	const otherContainers = Array.from(containers).filter(container => container != currentContainer);
+	for (const container of rankSpatialCandidates(current, direction, otherContainers)){
+		const candidates = getContainerCandidates(container, options.getCandidates);
+		if (candidates.length > 0){
+			return enterContainer(container, candidates, current, direction);
+		}
+	}
+
+	return false;
+
+}
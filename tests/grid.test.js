@@ -0,0 +1,184 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadPage } = require("./harness.js");
+
+/**
+ * Retrieve the text of the highlighted card, control or header item.
+ */
+function getHighlightedText(page){
+	const card = page.global("selectedGridCard");
+	return card ? card.textContent.trim().split("\n")[0] : false;
+}
+
+/**
+ * Record the label (or text) of every element clicked from now on.
+ */
+function recordClicks(page){
+	const clicks = [];
+	page.document.addEventListener("click", e => {
+		clicks.push(e.target.getAttribute("aria-label") || e.target.textContent);
+		e.preventDefault();
+	});
+	return clicks;
+}
+
+for (const name of ["watchlist", "crunchylists", "history", "browse"]){
+	test("starts the " + name + " page module", async () => {
+		const page = await loadPage(name);
+		try {
+			assert.strictEqual(page.document.documentElement.dataset.crunchynavPage, name);
+			assert.deepStrictEqual(page.errors, []);
+		} finally {
+			page.close();
+		}
+	});
+}
+
+test("moves along and between the lines of cards", async () => {
+	const page = await loadPage("history");
+	try {
+		const visited = [];
+		for (const key of ["ArrowDown", "ArrowRight", "ArrowDown", "ArrowUp", "ArrowUp"]){
+			await page.press(key);
+			visited.push(getHighlightedText(page));
+		}
+		assert.deepStrictEqual(visited, ["Watched 1", "Watched 2", "Watched 6", "Watched 2", "Home"]);
+	} finally {
+		page.close();
+	}
+});
+
+test("moving up from the first line goes to the sort and filter controls", async () => {
+	const page = await loadPage("browse");
+	try {
+		await page.pressAll(["ArrowDown", "ArrowUp"]);
+		assert.strictEqual(getHighlightedText(page), "Popularity");
+
+		await page.press("ArrowRight");
+		assert.strictEqual(getHighlightedText(page), "Filter");
+	} finally {
+		page.close();
+	}
+});
+
+test("genre pages' series cards can be reached", async () => {
+	const page = await loadPage("genre");
+	try {
+		await page.pressAll(["ArrowDown", "ArrowRight", "ArrowDown"]);
+		assert.strictEqual(getHighlightedText(page), "Genre 6");
+		assert.deepStrictEqual(page.errors, []);
+	} finally {
+		page.close();
+	}
+});
+
+test("cards which load later can be reached", async () => {
+	const page = await loadPage("browse");
+	try {
+		await page.replayStage("more-cards");
+		await page.pressAll(["ArrowDown", "ArrowDown", "ArrowDown"]);
+		assert.strictEqual(getHighlightedText(page), "Browse 9");
+	} finally {
+		page.close();
+	}
+});
+
+test("the secondary action presses the card's own remove button", async () => {
+	const page = await loadPage("watchlist");
+	try {
+		const clicks = recordClicks(page);
+		await page.pressAll(["ArrowDown", "ArrowRight", "Space", "Space"]);
+		assert.deepStrictEqual(clicks, ["Remove from watchlist"]);
+	} finally {
+		page.close();
+	}
+});
+
+test("the secondary action falls back to the card's more options menu", async () => {
+	const page = await loadPage("crunchylists");
+	try {
+		const clicks = recordClicks(page);
+		await page.pressAll(["ArrowDown", "Space", "Space"]);
+		await page.replayStage("more-options-menu");
+		assert.deepStrictEqual(clicks, ["More options", "Remove from list"]);
+	} finally {
+		page.close();
+	}
+});
+
+test("removing asks for the action to be pressed again", async () => {
+	const page = await loadPage("watchlist");
+	try {
+		const clicks = recordClicks(page);
+		await page.pressAll(["ArrowDown", "Space"]);
+		assert.deepStrictEqual(clicks, []);
+		assert.ok(page.document.getElementById("crunchynav-grid-confirm"));
+
+		// Moving on cancels it
+		await page.pressAll(["ArrowRight", "Space", "ArrowLeft", "Space"]);
+		assert.deepStrictEqual(clicks, []);
+
+		await page.press("Space");
+		assert.deepStrictEqual(clicks, ["Remove from watchlist"]);
+		assert.strictEqual(page.document.getElementById("crunchynav-grid-confirm"), null);
+	} finally {
+		page.close();
+	}
+});
+
+test("removing a card highlights the one which takes its place", async () => {
+	const page = await loadPage("watchlist");
+	try {
+		// The site takes the card out once it's removed
+		page.document.addEventListener("click", e => {
+			if (e.target.getAttribute("aria-label") == "Remove from watchlist"){
+				e.target.closest('[data-t="watchlist-card"]').remove();
+			}
+		});
+
+		await page.pressAll(["ArrowDown", "ArrowRight", "ArrowRight", "Space", "Space"]);
+		assert.strictEqual(getHighlightedText(page), "Watchlist 4");
+
+		// The last card hands it back to the one before
+		await page.press("ArrowDown");
+		assert.strictEqual(getHighlightedText(page), "Watchlist 6");
+		await page.pressAll(["Space", "Space"]);
+		assert.strictEqual(getHighlightedText(page), "Watchlist 5");
+	} finally {
+		page.close();
+	}
+});
+
+test("gives up on a more options menu which never opens", async () => {
+	const page = await loadPage("crunchylists");
+	try {
+		await page.pressAll(["ArrowDown", "Space", "Space"]);
+		await page.tick(page.global("GRID_MENU_TIMEOUT") + 100);
+		assert.deepStrictEqual(page.errors, ["CrunchyNav: Card menu item not found"]);
+
+		// The menu turning up later doesn't click anything
+		const clicks = recordClicks(page);
+		await page.replayStage("more-options-menu");
+		assert.deepStrictEqual(clicks, []);
+	} finally {
+		page.close();
+	}
+});
+
+test("only stops waiting for more cards once they've arrived", async () => {
+	const page = await loadPage("browse");
+	try {
+		await page.pressAll(["ArrowDown", "ArrowDown"]);
+		assert.strictEqual(page.global("gridLoadPending"), true);
+
+		// Something else on the page changing isn't the cards arriving
+		page.document.body.appendChild(page.document.createElement("div"));
+		await page.tick();
+		assert.strictEqual(page.global("gridLoadPending"), true);
+
+		await page.replayStage("more-cards");
+		assert.strictEqual(page.global("gridLoadPending"), false);
+	} finally {
+		page.close();
+	}
+});
@@ -0,0 +1,332 @@
+/**
+ * Headless harness for CrunchyNav's content scripts.
+ *
+ * Loads a saved snapshot of one of the site's pages (see fixtures/)
+ * into jsdom, injects the content scripts the same way the manifest
+ * does, then replays the site's staggered loading:
+ * 1. The "content" div starts out showing a loading message
+ * 2. It's replaced by the page's shell, with an empty app body
+ *    (which initPageLoadObserver() waits for)
+ * 3. The app body is filled in (which initAppBodyObserver() waits for)
+ *
+ * Tests can then send key presses, replay later mutations (eg. more
+ * rows arriving), and check what's highlighted or hidden.
+ *
+ * A fixture is the HTML of the page's "content" div:
+ * - A comment of the form `<!-- url: /series/ABC123 -->` gives the
+ *   page's URL
+ * - jsdom doesn't lay anything out, so every element which needs a
+ *   size has a `data-rect="left,top,width,height"` attribute, which
+ *   getBoundingClientRect() returns instead. Elements without one
+ *   count as hidden.
+ * - `<template data-stage="name" data-target="selector">` elements
+ *   hold mutations for replayStage(). They're taken out of the page
+ *   before it loads. The template's contents are added to the end of
+ *   the target, or wherever `data-position` says (as per
+ *   insertAdjacentHTML(), eg. "beforebegin").
+ *
+ * To record a new fixture, open the page in the browser, run this in
+ * the console, and save the result (minus any <script> elements):
+ *
+ *   for (const elem of document.querySelectorAll("#content *")){
+ *       const r = elem.getBoundingClientRect();
+ *       if (r.width > 0 && r.height > 0){
+ *           elem.dataset.rect = [r.left, r.top, r.width, r.height].map(Math.round).join(",");
+ *       }
+ *   }
+ *   copy(document.getElementById("content").innerHTML);
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+const ROOT = path.join(__dirname, "..");
+const FIXTURES = path.join(__dirname, "fixtures");
+const SITE_ORIGIN = "https://www.crunchyroll.com";
+
+// Keys which send something other than their code as e.key
+const KEY_NAMES = {
+	Space: " "
+};
+
+/**
+ * Retrieve the content scripts which the manifest injects into the
+ * site's own pages, in order.
+ *
+ * @returns Array of paths relative to the repository root
+ */
+function getContentScripts(){
+	const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, "manifest.json"), "utf8"));
+	return manifest.content_scripts[0].js;
+}
+
+/**
+ * Read a fixture, and split it into the page itself, its URL and
+ * its staged mutations.
+ *
+ * @param {String} name The fixture's file name, without .html
+ * @returns Object with html, url and stages (map of stage names
+ * to {target, position, html})
+ */
+function readFixture(name){
+
+	const html = fs.readFileSync(path.join(FIXTURES, name + ".html"), "utf8");
+
+	const url = html.match(/<!--\s*url:\s*(\S+)\s*-->/);
+	if (!url){
+		throw new Error("Fixture " + name + " doesn't say which URL it's from");
+	}
+
+	const stages = {};
+	const fragment = JSDOM.fragment(html);
+	for (const template of fragment.querySelectorAll("template[data-stage]")){
+		stages[template.dataset.stage] = {
+			target: template.dataset.target,
+			position: template.dataset.position || "beforeend",
+			html: template.innerHTML
+		};
+		template.remove();
+	}
+
+	const container = JSDOM.fragment("<div></div>").firstChild;
+	container.append(fragment);
+
+	return {
+		html: container.innerHTML,
+		url: new URL(url[1], SITE_ORIGIN).href,
+		stages: stages
+	};
+
+}
+
+/**
+ * Stand in for the browser's layout, which jsdom doesn't have.
+ *
+ * @param {Window} window The jsdom window
+ */
+function stubLayout(window){
+
+	window.Element.prototype.getBoundingClientRect = function(){
+		const [left, top, width, height] = (this.dataset && this.dataset.rect || "0,0,0,0")
+			.split(",").map(Number);
+		return {
+			left: left, top: top, width: width, height: height,
+			right: left + width, bottom: top + height, x: left, y: top
+		};
+	};
+
+	window.Element.prototype.scrollIntoView = function(){};
+	window.Element.prototype.scrollBy = function(){};
+	window.scrollTo = () => {};
+	window.scrollBy = () => {};
+
+	// No media queries match (eg. prefers-reduced-motion)
+	window.matchMedia = query => ({
+		matches: false,
+		media: query,
+		addEventListener: () => {},
+		removeEventListener: () => {}
+	});
+
+}
+
+/**
+ * Stand in for the extension API, with the given stored settings.
+ *
+ * @param {Object} storedSettings Settings as saved by the options page
+ * @returns Object shaped like `browser`
+ */
+function createExtensionApi(storedSettings){
+	return {
+		storage: {
+			sync: {
+				get: () => Promise.resolve(storedSettings),
+				set: () => Promise.resolve()
+			},
+			onChanged: {
+				addListener: () => {}
+			}
+		}
+	};
+}
+
+/**
+ * Let observers, promises and short timeouts run.
+ *
+ * @param {Number} ms How long to wait, in milliseconds (optional)
+ */
+function tick(ms = 10){
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Load a fixture and start the content scripts on it.
+ *
+ * @param {String} name The fixture's file name, without .html
+ * @param {Object} options Optional:
+ * - settings: Stored settings (see settings.js)
+ * - sessionStorage: Entries to put in sessionStorage before the
+ *   scripts run (eg. saved focus state)
+ * @returns The page (see below)
+ */
+async function loadPage(name, options = {}){
+
+	const fixture = readFixture(name);
+
+	// The scripts log a lot, so only errors are kept, for checking
+	const errors = [];
+	const virtualConsole = new VirtualConsole();
+	virtualConsole.on("error", (...args) => errors.push(args.join(" ")));
+
+	const dom = new JSDOM(
+		'<!DOCTYPE html><html><head></head><body><div id="content"><div class="loading">Loading…</div></div></body></html>',
+		{ url: fixture.url, runScripts: "dangerously", pretendToBeVisual: true, virtualConsole: virtualConsole }
+	);
+	const window = dom.window;
+	const document = window.document;
+
+	const dispatchKey = (type, code, repeat = false) => {
+		const key = KEY_NAMES[code] || (code.startsWith("Key") ? code.slice(3).toLowerCase() : code);
+		document.dispatchEvent(new window.KeyboardEvent(type, { code: code, key: key, repeat: repeat, bubbles: true, cancelable: true }));
+	};
+
+	stubLayout(window);
+	window.browser = createExtensionApi(options.settings || {});
+	for (const key in options.sessionStorage || {}){
+		window.sessionStorage.setItem(key, JSON.stringify(options.sessionStorage[key]));
+	}
+
+	// Injected as <script> elements rather than eval'd, so that every
+	// script shares one global scope, like content scripts do
+	for (const file of getContentScripts()){
+		const script = document.createElement("script");
+		script.textContent = fs.readFileSync(path.join(ROOT, file), "utf8");
+		document.head.appendChild(script);
+	}
+	await tick();
+
+	// Stage 2: the page's shell, with an empty app body
+	const content = document.getElementById("content");
+	content.innerHTML = fixture.html;
+	const appBody = document.querySelector(".app-body-wrapper");
+	const appBodyHtml = appBody ? appBody.innerHTML : "";
+	if (appBody){
+		appBody.innerHTML = "";
+	}
+	await tick();
+
+	// Stage 3: the app body's contents
+	if (appBody){
+		appBody.innerHTML = appBodyHtml;
+	}
+	await tick();
+
+	return {
+		window: window,
+		document: document,
+
+		// Everything the scripts have logged with console.error()
+		errors: errors,
+
+		/**
+		 * Press and release a key.
+		 *
+		 * @param {String} code The key's code, eg. "ArrowDown"
+		 */
+		press: async code => {
+			dispatchKey("keydown", code);
+			dispatchKey("keyup", code);
+			await tick();
+		},
+
+		/**
+		 * Hold a key down for a while, then release it.
+		 *
+		 * The browser's own key repeat isn't simulated, since
+		 * CrunchyNav repeats held keys itself (see keyboard.js).
+		 *
+		 * @param {String} code The key's code, eg. "ArrowDown"
+		 * @param {Number} ms How long to hold it, in milliseconds
+		 */
+		hold: async (code, ms) => {
+			dispatchKey("keydown", code);
+			await tick(ms);
+			dispatchKey("keyup", code);
+			await tick();
+		},
+
+		/**
+		 * Send a single keydown, without releasing the key.
+		 *
+		 * @param {String} code The key's code, eg. "ArrowDown"
+		 * @param {Boolean} repeat Whether it's the browser's own key
+		 * repeat (optional)
+		 */
+		keyDown: async (code, repeat = false) => {
+			dispatchKey("keydown", code, repeat);
+			await tick();
+		},
+
+		/**
+		 * Release a key held with keyDown().
+		 *
+		 * @param {String} code The key's code, eg. "ArrowDown"
+		 */
+		keyUp: async code => {
+			dispatchKey("keyup", code);
+			await tick();
+		},
+
+		/**
+		 * Press several keys one after the other.
+		 *
+		 * @param {String[]} codes The keys' codes
+		 */
+		pressAll: async function(codes){
+			for (const code of codes){
+				await this.press(code);
+			}
+		},
+
+		/**
+		 * Apply one of the fixture's staged mutations.
+		 *
+		 * @param {String} stage The stage's name
+		 */
+		replayStage: async stage => {
+			const { target, position, html } = fixture.stages[stage];
+			document.querySelector(target).insertAdjacentHTML(position, html);
+			await tick();
+		},
+
+		/**
+		 * Move to another page, the way the site does (without a
+		 * page load).
+		 *
+		 * @param {String} url The new page's path
+		 */
+		navigate: async url => {
+			window.history.pushState({}, "", url);
+			document.body.appendChild(document.createElement("div"));
+			await tick();
+		},
+
+		/**
+		 * Retrieve a global from the content scripts.
+		 *
+		 * @param {String} name The global's name, eg. "selectedButton"
+		 */
+		global: name => window.eval(name),
+
+		tick: tick,
+
+		/**
+		 * Stop every timer and observer, so the test can finish.
+		 */
+		close: () => window.close()
+	};
+
+}
+
+module.exports = { loadPage, tick };
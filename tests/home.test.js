@@ -0,0 +1,365 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadPage } = require("./harness.js");
+
+/**
+ * Retrieve the link of the highlighted card, eg. "/series/r0C1".
+ */
+function getHighlightedLink(page){
+	const card = page.global("feedController.selectedCard");
+	if (card == false){
+		return false;
+	}
+	return (card.querySelector("a") || card).getAttribute("href");
+}
+
+/**
+ * Retrieve the title of each row, along with whether it's shown.
+ */
+function getRowStates(page){
+	const rows = Array.from(page.document.querySelector(".dynamic-feed-wrapper").children).slice(0, -1);
+	return rows.map(row => {
+		const heading = row.querySelector("h2");
+		return (heading ? heading.textContent : row.dataset.crunchynavRowType) +
+			(row.style.display == "none" ? " (hidden)" : "");
+	});
+}
+
+test("getErcFeed finds the hero banner, the rows and the loading message", async () => {
+	const page = await loadPage("home");
+	try {
+		const children = page.global("getErcFeed()");
+		assert.strictEqual(children.length, 3);
+		assert.ok(children[1].classList.contains("dynamic-feed-wrapper"));
+		assert.deepStrictEqual(page.errors, []);
+	} finally {
+		page.close();
+	}
+});
+
+test("cleanDynamicFeed hides rows which can't be navigated", async () => {
+	const page = await loadPage("home");
+	try {
+		assert.deepStrictEqual(getRowStates(page), [
+			"Continue Watching",
+			"Latest News (hidden)",
+			"game (hidden)",
+			"Popular",
+			"highlight",
+			"Simulcasts"
+		]);
+	} finally {
+		page.close();
+	}
+});
+
+test("moves between the hero banner and the rows, skipping hidden rows", async () => {
+	const page = await loadPage("home");
+	try {
+		const visited = [];
+		for (const key of ["ArrowDown", "ArrowDown", "ArrowRight", "ArrowDown", "ArrowDown", "ArrowDown", "ArrowUp"]){
+			await page.press(key);
+			visited.push(getHighlightedLink(page));
+		}
+		assert.deepStrictEqual(visited, [
+			"/series/HERO1",
+			"/series/r0C0",
+			"/series/r0C1",
+			"/series/r1C0",
+			"/series/HIGHLIGHT",
+			"/series/r2C0",
+			"/series/HIGHLIGHT"
+		]);
+	} finally {
+		page.close();
+	}
+});
+
+test("highlightCard moves the highlight and remembers the row position", async () => {
+	const page = await loadPage("home");
+	try {
+		const cards = page.document.querySelectorAll('[data-t="carousel-card-wrapper"]');
+		page.global("highlightCard")({ preventDefault: () => {} }, cards[2]);
+		assert.strictEqual(page.global("feedController.selectedCard"), cards[2]);
+
+		page.global("highlightCard")({ preventDefault: () => {} }, cards[5]);
+		assert.strictEqual(page.global("feedController.selectedCard"), cards[5]);
+		assert.strictEqual(getHighlightedLink(page), "/series/r1C1");
+
+		// Coming back to a row highlights the card last highlighted there
+		await page.pressAll(["ArrowUp", "ArrowDown"]);
+		assert.strictEqual(getHighlightedLink(page), "/series/r1C1");
+	} finally {
+		page.close();
+	}
+});
+
+test("moving up from the hero banner enters the header", async () => {
+	const page = await loadPage("home");
+	try {
+		await page.pressAll(["ArrowDown", "ArrowUp"]);
+		assert.strictEqual(getHighlightedLink(page), "/");
+		assert.ok(page.global("isHeaderItem(feedController.selectedCard)"));
+	} finally {
+		page.close();
+	}
+});
+
+test("rows which load later are classified and can be reached", async () => {
+	const page = await loadPage("home");
+	try {
+		await page.replayStage("more-rows");
+		assert.strictEqual(getRowStates(page).at(-1), "Fantasy");
+
+		await page.pressAll(["ArrowDown", "ArrowDown", "ArrowDown", "ArrowDown", "ArrowDown", "ArrowDown"]);
+		assert.strictEqual(getHighlightedLink(page), "/series/r3C0");
+	} finally {
+		page.close();
+	}
+});
+
+test("a row which was empty when added is shown once its cards render", async () => {
+	const page = await loadPage("home");
+	try {
+		await page.replayStage("empty-row");
+		assert.strictEqual(getRowStates(page).at(-1), "empty (hidden)");
+
+		// Only the row whose content loaded is looked at again
+		const classified = new Set();
+		const classifyRow = page.window.classifyRow;
+		page.window.classifyRow = row => {
+			classified.add(row);
+			return classifyRow(row);
+		};
+
+		await page.replayStage("fill-late-row");
+		assert.strictEqual(getRowStates(page).at(-1), "Romance");
+		assert.deepStrictEqual(Array.from(classified), [page.document.getElementById("late-row")]);
+
+		await page.pressAll(["ArrowDown", "ArrowDown", "ArrowDown", "ArrowDown", "ArrowDown", "ArrowDown"]);
+		assert.strictEqual(getHighlightedLink(page), "/series/r4C0");
+	} finally {
+		page.close();
+	}
+});
+
+test("loading more rows waits for a row which is added empty to fill in", async () => {
+	const page = await loadPage("home");
+	try {
+		await page.pressAll(["ArrowDown", "ArrowDown", "ArrowDown", "ArrowDown", "ArrowDown", "ArrowDown"]);
+		assert.strictEqual(page.global("feedLoadState"), "loading");
+		const lastLoaded = getHighlightedLink(page);
+
+		await page.replayStage("empty-row");
+		assert.strictEqual(page.global("feedLoadState"), "loading");
+		assert.strictEqual(getHighlightedLink(page), lastLoaded);
+
+		await page.replayStage("fill-late-row");
+		assert.strictEqual(page.global("feedLoadState"), "idle");
+		assert.strictEqual(getHighlightedLink(page), "/series/r4C0");
+	} finally {
+		page.close();
+	}
+});
+
+test("the user's feed rules hide rows", async () => {
+	const page = await loadPage("home", { settings: { hiddenRows: ["popular"] } });
+	try {
+		assert.deepStrictEqual(getRowStates(page), [
+			"Continue Watching",
+			"Latest News (hidden)",
+			"game (hidden)",
+			"Popular (hidden)",
+			"highlight",
+			"Simulcasts"
+		]);
+	} finally {
+		page.close();
+	}
+});
+
+test("focus changes are sent to listeners", async () => {
+	const page = await loadPage("home");
+	try {
+		const changes = [];
+		page.global("feedController").onFocusChange((card, previous) => changes.push([card, previous]));
+
+		await page.pressAll(["ArrowDown", "ArrowDown"]);
+		const hero = page.global("getHeroRow()");
+		assert.strictEqual(changes.length, 2);
+		assert.deepStrictEqual(changes[0], [hero, false]);
+		assert.strictEqual(changes[1][1], hero);
+		assert.strictEqual(getHighlightedLink(page), "/series/r0C0");
+	} finally {
+		page.close();
+	}
+});
+
+test("the feed model is read again when rows load", async () => {
+	const page = await loadPage("home");
+	try {
+		const model = page.global("feedController.getModel()");
+		assert.strictEqual(page.global("feedController.getModel()"), model);
+
+		await page.replayStage("more-rows");
+		const rows = page.global("feedController.getModel().rows");
+		assert.notStrictEqual(page.global("feedController.getModel()"), model);
+		assert.strictEqual(rows.at(-1).querySelector("h2").textContent, "Fantasy");
+	} finally {
+		page.close();
+	}
+});
+
+test("the highlight is drawn with the focus ring's theme", async () => {
+	const page = await loadPage("home", { settings: { focusColor: "#ff0000", focusMotion: "reduce" } });
+	try {
+		await page.pressAll(["ArrowDown", "ArrowDown"]);
+		const hero = page.global("getHeroRow()");
+		const card = page.global("feedController.selectedCard");
+		assert.ok(card.classList.contains("crunchynav-focus"));
+		assert.ok(!hero.classList.contains("crunchynav-focus"));
+		assert.strictEqual(card.style.border, "");
+
+		const root = page.document.documentElement;
+		assert.strictEqual(root.style.getPropertyValue("--crunchynav-focus-color"), "#ff0000");
+		assert.strictEqual(root.dataset.crunchynavMotion, "reduce");
+	} finally {
+		page.close();
+	}
+});
+
+test("home and end go to either end of the row, and home twice goes to the top", async () => {
+	const page = await loadPage("home");
+	try {
+		await page.pressAll(["ArrowDown", "ArrowDown", "ArrowDown", "End"]);
+		assert.strictEqual(getHighlightedLink(page), "/series/r1C3");
+
+		await page.press("Home");
+		assert.strictEqual(getHighlightedLink(page), "/series/r1C0");
+
+		await page.pressAll(["End", "Home", "Home"]);
+		assert.strictEqual(getHighlightedLink(page), "/series/HERO1");
+	} finally {
+		page.close();
+	}
+});
+
+test("page up and down jump several rows, then step into the header", async () => {
+	const page = await loadPage("home");
+	try {
+		await page.pressAll(["ArrowDown", "PageDown"]);
+		assert.strictEqual(getHighlightedLink(page), "/series/r2C0");
+
+		await page.press("PageUp");
+		assert.strictEqual(getHighlightedLink(page), "/series/HERO1");
+
+		await page.press("PageUp");
+		assert.ok(page.global("isHeaderItem(feedController.selectedCard)"));
+	} finally {
+		page.close();
+	}
+});
+
+/**
+ * Make the first row long enough to hold a direction along it.
+ *
+ * @param {Object} page The page (see harness.js)
+ * @param {Number} count How many cards to add
+ */
+async function lengthenFirstRow(page, count){
+	const scroller = page.document.querySelector(".carousel-scroller");
+	for (let i = 4; i < 4 + count; i++){
+		const left = 40 + i * 220;
+		scroller.insertAdjacentHTML("beforeend",
+			'<div data-t="carousel-card-wrapper" data-rect="' + left + ',550,200,300">' +
+			'<a href="/series/r0C' + i + '" data-rect="' + left + ',550,200,300"><h4 data-t="title">Continue Watching ' + (i + 1) + '</h4></a></div>'
+		);
+	}
+	await page.tick();
+}
+
+/**
+ * Retrieve which card of the first row is highlighted.
+ *
+ * @param {Object} page The page (see harness.js)
+ * @returns The card's index
+ */
+function getFirstRowIndex(page){
+	return Number(getHighlightedLink(page).replace("/series/r0C", ""));
+}
+
+test("holding a direction repeats it faster the longer it's held, until released", async () => {
+	const page = await loadPage("home", { settings: { repeatDelay: 100, repeatRate: 100 } });
+	try {
+		await lengthenFirstRow(page, 40);
+		await page.pressAll(["ArrowDown", "ArrowDown"]);
+
+		await page.keyDown("ArrowRight");
+		await page.tick(600);
+		const firstHalf = getFirstRowIndex(page);
+		await page.tick(600);
+		const secondHalf = getFirstRowIndex(page) - firstHalf;
+		await page.keyUp("ArrowRight");
+
+		// At a steady 100ms, each half would be about 6 steps
+		assert.ok(firstHalf > 0, "moved " + firstHalf);
+		assert.ok(secondHalf > firstHalf, "moved " + firstHalf + " then " + secondHalf);
+
+		// Nothing more happens once it's released
+		const released = getHighlightedLink(page);
+		await page.tick(200);
+		assert.strictEqual(getHighlightedLink(page), released);
+	} finally {
+		page.close();
+	}
+});
+
+test("a repeat setting which isn't a positive number falls back to the default", async () => {
+	const page = await loadPage("home", { settings: { repeatDelay: 0, repeatRate: null } });
+	try {
+		assert.strictEqual(page.global("getRepeatInterval(0)"), 400);
+		assert.strictEqual(page.global("getRepeatInterval(1)"), 150);
+	} finally {
+		page.close();
+	}
+});
+
+test("the browser's own key repeat doesn't repeat select", async () => {
+	const page = await loadPage("home");
+	try {
+		await page.pressAll(["ArrowDown", "ArrowDown"]);
+		const selects = [];
+		page.global("feedController.selectedCard").querySelector("a").addEventListener("click", e => {
+			e.preventDefault();
+			selects.push(e.target.getAttribute("href"));
+		});
+
+		await page.keyDown("Enter");
+		await page.keyDown("Enter", true);
+		await page.keyDown("Enter", true);
+		await page.keyUp("Enter");
+		assert.deepStrictEqual(selects, ["/series/r0C0"]);
+	} finally {
+		page.close();
+	}
+});
+
+test("a menu which is part of the fixed header doesn't trap navigation", async () => {
+	const page = await loadPage("home");
+	try {
+		const header = page.document.querySelector(".erc-large-header");
+		header.style.position = "fixed";
+		header.insertAdjacentHTML("beforeend",
+			'<div role="menu" data-rect="300,10,300,40"><a role="menuitem" href="/news" data-rect="300,10,100,40">News</a></div>' +
+			'<button aria-controls="profile-menu" aria-expanded="false" data-rect="1220,10,40,40">Profile</button>' +
+			'<div id="profile-menu" role="menu" style="position: absolute" data-rect="1000,60,260,200">' +
+			'<a role="menuitem" href="/account" data-rect="1000,60,260,40">Account</a></div>'
+		);
+		assert.strictEqual(page.global("getOpenMenu()"), false);
+
+		await page.pressAll(["ArrowDown", "ArrowDown"]);
+		assert.strictEqual(getHighlightedLink(page), "/series/r0C0");
+	} finally {
+		page.close();
+	}
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadPage } = require("./harness.js");
+
+test("starts the player module on the watch page", async () => {
+	const page = await loadPage("watch");
+	try {
+		assert.strictEqual(page.document.documentElement.dataset.crunchynavPage, "player");
+		assert.strictEqual(page.global("getPlayerFrame()"), page.document.querySelector("iframe"));
+		assert.deepStrictEqual(page.errors, []);
+	} finally {
+		page.close();
+	}
+});
+
+test("the next episode key follows the next episode link", async () => {
+	const page = await loadPage("watch");
+	try {
+		let followed = false;
+		page.document.addEventListener("click", e => {
+			followed = e.target.getAttribute("href");
+			e.preventDefault();
+		});
+
+		await page.press("KeyN");
+		assert.strictEqual(followed, "/watch/EP2/episode-2");
+	} finally {
+		page.close();
+	}
+});
+
+test("moving with WASD doesn't clash with the default player keys", async () => {
+	const page = await loadPage("watch", {
+		settings: { keyBindings: { up: ["KeyW"], left: ["KeyA"], down: ["KeyS"], right: ["KeyD"] } }
+	});
+	try {
+		assert.strictEqual(page.global("JSON.stringify(findBindingConflicts(settings.keyBindings))"), "{}");
+	} finally {
+		page.close();
+	}
+});
+
+test("says so when the browser refuses to play the video", async () => {
+	const page = await loadPage("watch");
+	try {
+		page.global('togglePlayback({ paused: true, play: () => Promise.reject(new Error("NotAllowedError")) })');
+		await page.tick();
+		assert.strictEqual(page.document.getElementById("crunchynav-osd").textContent, "Couldn't play the video");
+	} finally {
+		page.close();
+	}
+});
@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadPage } = require("./harness.js");
+
+/**
+ * Retrieve the text of the highlighted profile.
+ */
+function getHighlightedText(page){
+	const item = page.global("selectedProfileItem");
+	if (item == false){
+		return false;
+	}
+	return (item.querySelector("span") || item).textContent;
+}
+
+test("highlights the first profile straight away", async () => {
+	const page = await loadPage("profiles");
+	try {
+		assert.strictEqual(getHighlightedText(page), "Alex");
+		assert.deepStrictEqual(page.errors, []);
+	} finally {
+		page.close();
+	}
+});
+
+test("moves between the profiles and the manage profiles button", async () => {
+	const page = await loadPage("profiles");
+	try {
+		const visited = [];
+		for (const key of ["ArrowRight", "ArrowRight", "ArrowRight", "ArrowDown", "ArrowUp", "ArrowLeft"]){
+			await page.press(key);
+			visited.push(getHighlightedText(page));
+		}
+		assert.deepStrictEqual(visited, ["Sam", "Kids", "Kids", "Manage profiles", "Sam", "Alex"]);
+	} finally {
+		page.close();
+	}
+});
+
+test("select picks the highlighted profile", async () => {
+	const page = await loadPage("profiles");
+	try {
+		let picked = false;
+		page.document.addEventListener("click", e => {
+			picked = e.target.textContent;
+		});
+
+		await page.pressAll(["ArrowRight", "Enter"]);
+		assert.strictEqual(picked, "Sam");
+	} finally {
+		page.close();
+	}
+});
@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadPage } = require("./harness.js");
+
+/**
+ * Lay the on-screen keyboard out as a grid, since jsdom doesn't.
+ */
+function layOutKeyboard(page){
+	page.document.getElementById("crunchynav-keyboard").dataset.rect = "40,160,600,300";
+	page.document.querySelectorAll(".crunchynav-keyboard-row").forEach((row, rowIndex) => {
+		Array.from(row.children).forEach((key, column) => {
+			key.dataset.rect = [40 + column * 60, 160 + rowIndex * 60, 50, 50].join(",");
+		});
+	});
+}
+
+/**
+ * Retrieve the text of the highlighted key or result.
+ */
+function getHighlightedText(page){
+	const elem = page.global("selectedSearchElement");
+	return elem ? elem.textContent.trim() : false;
+}
+
+test("adds an on-screen keyboard below the search input", async () => {
+	const page = await loadPage("search");
+	try {
+		const keyboard = page.document.getElementById("crunchynav-keyboard");
+		assert.ok(keyboard);
+		assert.strictEqual(keyboard.previousElementSibling, page.document.querySelector("form"));
+		assert.deepStrictEqual(page.errors, []);
+	} finally {
+		page.close();
+	}
+});
+
+test("typing on the on-screen keyboard fills the search input", async () => {
+	const page = await loadPage("search");
+	try {
+		layOutKeyboard(page);
+		const typed = [];
+		page.document.querySelector("input").addEventListener("input", e => typed.push(e.target.value));
+
+		await page.pressAll(["ArrowDown", "Enter", "ArrowRight", "Enter"]);
+		assert.strictEqual(page.document.querySelector("input").value, "ab");
+		assert.deepStrictEqual(typed, ["a", "ab"]);
+	} finally {
+		page.close();
+	}
+});
+
+test("moving down from the keyboard goes into the results", async () => {
+	const page = await loadPage("search");
+	try {
+		layOutKeyboard(page);
+		await page.pressAll(["ArrowDown", "ArrowDown", "ArrowDown", "ArrowDown", "ArrowDown"]);
+		assert.strictEqual(getHighlightedText(page), "Result 1");
+
+		await page.press("ArrowUp");
+		assert.strictEqual(getHighlightedText(page), "Space");
+	} finally {
+		page.close();
+	}
+});
@@ -0,0 +1,157 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadPage } = require("./harness.js");
+
+/**
+ * Retrieve the text of the highlighted button or episode.
+ */
+function getHighlightedText(page){
+	const button = page.global("selectedButton");
+	if (button == false){
+		return false;
+	}
+	return button.textContent.trim().split("\n")[0];
+}
+
+test("clones the Play button in with the other action buttons", async () => {
+	const page = await loadPage("series");
+	try {
+		const buttons = Array.from(page.document.querySelector(".action-buttons").children);
+		assert.deepStrictEqual(buttons.map(button => button.textContent), [
+			"Start watching E1",
+			"Add to watchlist",
+			"Add to Crunchylist",
+			"Share"
+		]);
+		assert.ok(buttons[0].classList.contains("crunchynav-play-button-clone"));
+
+		// The copy doesn't pass for the site's own Play button
+		assert.strictEqual(page.document.querySelectorAll(".up-next-section-button").length, 1);
+		assert.strictEqual(page.global("findElement('series.playButton')"), page.document.querySelector("[data-t='up-next-section-button']"));
+		assert.deepStrictEqual(page.errors, []);
+	} finally {
+		page.close();
+	}
+});
+
+test("cycles through the action buttons", async () => {
+	const page = await loadPage("series");
+	try {
+		const visited = [];
+		for (const key of ["ArrowRight", "ArrowRight", "ArrowRight", "ArrowRight", "ArrowRight", "ArrowLeft"]){
+			await page.press(key);
+			visited.push(getHighlightedText(page));
+		}
+		assert.deepStrictEqual(visited, [
+			"Start watching E1",
+			"Add to watchlist",
+			"Add to Crunchylist",
+			"Share",
+			"Share",
+			"Add to Crunchylist"
+		]);
+
+		const highlighted = page.document.querySelectorAll(".crunchynav-focus");
+		assert.strictEqual(highlighted.length, 1);
+		assert.strictEqual(highlighted[0], page.global("selectedButton"));
+	} finally {
+		page.close();
+	}
+});
+
+test("moving down from the action buttons goes straight to the episodes", async () => {
+	const page = await loadPage("series");
+	try {
+		await page.pressAll(["ArrowRight", "ArrowDown"]);
+		assert.strictEqual(getHighlightedText(page), "Episode 1");
+
+		await page.pressAll(["ArrowRight", "ArrowDown"]);
+		assert.strictEqual(getHighlightedText(page), "Episode 6");
+	} finally {
+		page.close();
+	}
+});
+
+test("select plays the highlighted episode", async () => {
+	const page = await loadPage("series");
+	try {
+		let played = false;
+		page.document.addEventListener("click", e => {
+			played = e.target.getAttribute("href");
+			e.preventDefault();
+		});
+
+		await page.pressAll(["ArrowRight", "ArrowDown", "ArrowRight", "Enter"]);
+		assert.strictEqual(played, "/watch/EP2/episode-2");
+	} finally {
+		page.close();
+	}
+});
+
+test("episodes which load later can be reached", async () => {
+	const page = await loadPage("series");
+	try {
+		await page.replayStage("more-episodes");
+		await page.pressAll(["ArrowRight", "ArrowDown", "ArrowDown", "ArrowDown"]);
+		assert.strictEqual(getHighlightedText(page), "Episode 9");
+	} finally {
+		page.close();
+	}
+});
+
+test("a menu opened by a button traps navigation", async () => {
+	const page = await loadPage("series");
+	try {
+		await page.pressAll(["ArrowRight", "ArrowRight", "ArrowRight"]);
+		await page.replayStage("crunchylist-menu");
+
+		await page.pressAll(["ArrowDown", "ArrowDown"]);
+		assert.strictEqual(page.global("selectedMenuItem").textContent, "Favourites");
+		assert.strictEqual(getHighlightedText(page), "Add to Crunchylist");
+	} finally {
+		page.close();
+	}
+});
+
+test("only looks for an open menu again once the page changes", async () => {
+	const page = await loadPage("series");
+	try {
+		// A bar of links marked up as a menu, which isn't a popup
+		page.document.querySelector(".action-buttons").insertAdjacentHTML("beforebegin",
+			'<div role="menu" data-rect="40,320,400,40"><a role="menuitem" href="/videos" data-rect="40,320,100,40">Videos</a></div>'
+		);
+		assert.strictEqual(page.global("getOpenMenu()"), false);
+		await page.pressAll(["ArrowRight", "ArrowRight"]);
+
+		let styleChecks = 0;
+		const getComputedStyle = page.window.getComputedStyle;
+		page.window.getComputedStyle = elem => {
+			styleChecks++;
+			return getComputedStyle(elem);
+		};
+
+		// Moving only changes CrunchyNav's own classes
+		assert.strictEqual(page.global("getOpenMenu()"), false);
+		assert.strictEqual(styleChecks, 0);
+
+		await page.replayStage("crunchylist-menu");
+		assert.ok(page.global("getOpenMenu()"));
+		assert.ok(styleChecks > 0);
+	} finally {
+		page.close();
+	}
+});
+
+test("moving to another series doesn't clone the Play button twice", async () => {
+	const page = await loadPage("series");
+	try {
+		await page.navigate("/series/OTHER/another-series");
+		await page.tick(100);
+		assert.strictEqual(page.document.querySelectorAll(".crunchynav-play-button-clone").length, 1);
+
+		await page.navigate("/");
+		assert.strictEqual(page.document.querySelectorAll(".crunchynav-play-button-clone").length, 0);
+	} finally {
+		page.close();
+	}
+});